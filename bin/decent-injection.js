@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+// Decent Injection (c) 2014-2015 Bertrand Le Roy, under MIT. See LICENSE.txt for licensing details.
+'use strict';
+
+var cli = require('../lib/cli');
+
+process.exitCode = cli(process.argv.slice(2));
@@ -0,0 +1,371 @@
+// Decent Injection (c) 2014-2015 Bertrand Le Roy, under MIT. See LICENSE.txt for licensing details.
+'use strict';
+
+var path = require('path');
+var util = require('util');
+var scope = require('./scope');
+var graph = require('./graph');
+
+var usage = [
+  'Usage: decent-injection <command> <services-module> [arguments] [options]',
+  '',
+  'The services module must export a map of service names to arrays of',
+  'implementations, as expected by the scope function.',
+  '',
+  'Commands:',
+  '  list                Lists the services, and the lifetimes of their implementations.',
+  '  why <service>       Explains which implementation require returns for a service.',
+  '  graph               Prints the dependency graph.',
+  '  check               Validates the scopes, and exits with 1 if there are problems.',
+  '',
+  'Options:',
+  '  --scopes <names>    The comma-separated names of the scopes in the hierarchy,',
+  '                      from the longest-lived to the shortest-lived.',
+  '                      Defaults to shell,request.',
+  '  --features <names>  The comma-separated features to enable on the root scope.',
+  '  --format <format>   The format of the graph: dot, mermaid, or json.',
+  '                      Defaults to dot.',
+  '  -h, --help          Prints this usage.'
+].join('\n');
+
+var validOptions = ['scopes', 'features', 'format'];
+
+var commandArguments = {
+  list: 0,
+  why: 1,
+  graph: 0,
+  check: 0
+};
+
+/**
+ * @description
+ * Builds an error for a command line that can't be run. Those errors get the
+ * usage printed along with them.
+ * @param {string} message The error message.
+ * @returns {Error} The error.
+ */
+function usageError(message) {
+  var error = new Error(message);
+  error.isUsageError = true;
+  return error;
+}
+
+/**
+ * @description
+ * Parses command-line arguments into positional arguments and options.
+ * Options can be written as --name value or --name=value, except for
+ * --help and -h, that take no value.
+ * @param {Array} args The arguments, without the node executable and script.
+ * @returns {object} An object with positional, options, and help properties.
+ */
+function parseArguments(args) {
+  var parsed = {positional: [], options: {}, help: false};
+  for (var i = 0; i < args.length; i++) {
+    var arg = args[i];
+    if (arg === '--help' || arg === '-h') {
+      parsed.help = true;
+      continue;
+    }
+    if (arg.substr(0, 2) !== '--') {
+      parsed.positional.push(arg);
+      continue;
+    }
+    var equalsIndex = arg.indexOf('=');
+    var name = equalsIndex === -1 ? arg.substr(2) : arg.substring(2, equalsIndex);
+    var value = equalsIndex === -1 ? args[++i] : arg.substr(equalsIndex + 1);
+    if (typeof value === 'undefined') {
+      throw usageError(util.format('The --%s option needs a value.', name));
+    }
+    if (validOptions.indexOf(name) === -1) {
+      throw usageError(util.format("Unknown option '--%s'.", name));
+    }
+    parsed.options[name] = value;
+  }
+  return parsed;
+}
+
+/**
+ * @description
+ * Splits a comma-separated list.
+ * @param {string} list The list.
+ * @returns {Array} The items of the list.
+ */
+function splitList(list) {
+  return list.split(',')
+    .map(function trim(item) {return item.trim();})
+    .filter(function isNotEmpty(item) {return item.length > 0;});
+}
+
+/**
+ * @description
+ * Loads the module that exports the map of services.
+ * @param {string} modulePath The path of the module, relative to the current directory.
+ * @returns {object} The map of services.
+ */
+function loadServices(modulePath) {
+  var services;
+  try {
+    services = require(path.resolve(modulePath));
+  }
+  catch(err) {
+    var error = new Error(
+      util.format("Couldn't load services module '%s': %s", modulePath, err.message));
+    error.cause = err;
+    throw error;
+  }
+  if (!services || typeof services !== 'object') {
+    throw new Error(
+      util.format("The services module '%s' must export a map of services.", modulePath));
+  }
+  return services;
+}
+
+/**
+ * @description
+ * Builds the hierarchy of scopes, and returns the shortest-lived one, that
+ * sees all the services.
+ * @param {object} services The map of services.
+ * @param {Array} scopeNames The names of the scopes, from the longest-lived to the shortest-lived.
+ * @param {Array} [features] The features to enable on the root scope.
+ * @returns {object} The shortest-lived scope.
+ */
+function buildScopes(services, scopeNames, features) {
+  var root = {};
+  if (features) root.features = features;
+  var currentScope = scope(scopeNames[0], root, services);
+  scopeNames.slice(1).forEach(function addSubScope(name) {
+    currentScope = currentScope.makeSubScope(name, {});
+  });
+  return currentScope;
+}
+
+/**
+ * @description
+ * Describes an implementation on one line, with its id, lifetime, and flags.
+ * @param {object} implementation The implementation, as described by scope.describe.
+ * @returns {string} The description.
+ */
+function describeImplementationLine(implementation) {
+  var details = [graph.getLifetime(implementation)];
+  if (typeof implementation.key !== 'undefined') details.push('key ' + implementation.key);
+  if (implementation.tags) details.push('tags ' + implementation.tags.join(', '));
+  if (implementation.aliasOf) details.push('alias of ' + implementation.aliasOf);
+  if (!implementation.enabled) details.push('disabled');
+  if (implementation.selected) details.push('selected');
+  return util.format('  %s (%s): %s', implementation.name, implementation.id, details.join(', '));
+}
+
+/**
+ * @description
+ * Lists the services, and the lifetimes of their implementations.
+ * Scopes, that are registered as services of their own name, are left out.
+ * @param {object} description The description of the scope.
+ * @param {Function} write The function that writes a line to the output.
+ * @returns {number} The exit code.
+ */
+function list(description, write) {
+  write('Scopes: ' + description.hierarchy.join(' > '));
+  description.services.forEach(function listService(service) {
+    var implementations = service.implementations.filter(function isNotScope(implementation) {
+      return implementation.kind !== 'scope';
+    });
+    if (implementations.length === 0) return;
+    write('');
+    write(service.name);
+    implementations.forEach(function listImplementation(implementation) {
+      write(describeImplementationLine(implementation));
+    });
+  });
+  return 0;
+}
+
+/**
+ * @description
+ * Finds the ids of the implementations of a service that an implementation
+ * depends on, directly or not.
+ * @param {Array} implementations The implementations of the service, as described by scope.describe.
+ * @param {object} implementation The implementation.
+ * @returns {Array} The ids of the implementations it depends on.
+ */
+function getTransitiveDependencies(implementations, implementation) {
+  var found = [];
+  (function addDependencies(current) {
+    (current.orderedAfter || []).forEach(function addDependency(id) {
+      if (found.indexOf(id) !== -1 || id === implementation.id) return;
+      found.push(id);
+      addDependencies(implementations.filter(function hasId(other) {
+        return other.id === id;
+      })[0]);
+    });
+  })(implementation);
+  return found;
+}
+
+/**
+ * @description
+ * Explains which implementation require returns for a service, and why.
+ * @param {object} description The description of the scope.
+ * @param {string} serviceName The name of the service.
+ * @param {Function} write The function that writes a line to the output.
+ * @returns {number} The exit code: 1 if the service doesn't resolve.
+ */
+function why(description, serviceName, write) {
+  var service = description.services.filter(function hasName(candidate) {
+    return candidate.name === serviceName;
+  })[0];
+  if (!service) {
+    write(util.format("No service named '%s' is registered on scope '%s'.",
+      serviceName, description.scope));
+    return 1;
+  }
+  var implementations = service.implementations;
+  var selected = implementations.filter(function isSelected(implementation) {
+    return implementation.selected;
+  })[0];
+  write(util.format("require('%s') on scope '%s' returns %s.", serviceName, description.scope,
+    selected ? util.format('%s (%s)', selected.name, selected.id) : 'null'));
+  write('');
+  var isOrdered = implementations.some(function hasDependencies(implementation) {
+    return !!implementation.orderedAfter;
+  });
+  implementations.forEach(function explainImplementation(implementation) {
+    var reason;
+    if (!implementation.enabled) {
+      var missingFeatures = (implementation.requires || []).filter(function isMissing(feature) {
+        return description.features.indexOf(feature) === -1;
+      });
+      reason = missingFeatures.length > 0 ?
+        'disabled, because it requires features that are not enabled: ' + missingFeatures.join(', ') :
+        'disabled by its enabledWhen predicate';
+    }
+    else if (isOrdered) {
+      var dependencies = getTransitiveDependencies(implementations, implementation);
+      reason = util.format('enabled, depends on %d other implementation%s of %s%s',
+        dependencies.length, dependencies.length === 1 ? '' : 's', serviceName,
+        dependencies.length > 0 ? ' (' + dependencies.join(', ') + ')' : '');
+    }
+    else {
+      reason = 'enabled';
+    }
+    write(util.format('  %s (%s): %s%s', implementation.name, implementation.id,
+      implementation.selected ? 'selected, ' : '', reason));
+  });
+  write('');
+  if (!selected) {
+    write(util.format("No enabled implementation of '%s' can be selected.", serviceName));
+    return 1;
+  }
+  write(isOrdered ?
+    util.format('%s depends, directly or not, on the most other implementations of %s.',
+      selected.name, serviceName) :
+    util.format('%s is the last enabled implementation of %s to have been registered.',
+      selected.name, serviceName));
+  return 0;
+}
+
+/**
+ * @description
+ * Prints the dependency graph.
+ * @param {object} description The description of the scope.
+ * @param {string} format The format: 'dot', 'mermaid', or 'json'.
+ * @param {Function} write The function that writes a line to the output.
+ * @returns {number} The exit code.
+ */
+function printGraph(description, format, write) {
+  switch(format) {
+    case 'dot':
+      write(graph.toDot(description).replace(/\n$/, ''));
+      break;
+    case 'mermaid':
+      write(graph.toMermaid(description).replace(/\n$/, ''));
+      break;
+    case 'json':
+      write(JSON.stringify(description, null, 2));
+      break;
+    default:
+      throw usageError(util.format(
+        "Unknown format '%s'. Valid formats are dot, mermaid, json.", format));
+  }
+  return 0;
+}
+
+/**
+ * @description
+ * Validates the scopes, and reports the problems.
+ * @param {object} shortestLivedScope The shortest-lived scope.
+ * @param {Array} hierarchy The names of the scopes in the hierarchy.
+ * @param {Function} write The function that writes a line to the output.
+ * @returns {number} The exit code: 1 if there are problems.
+ */
+function check(shortestLivedScope, hierarchy, write) {
+  var report = shortestLivedScope.validate(hierarchy);
+  if (report.valid) {
+    write('No problems found in scopes ' + hierarchy.join(' > ') + '.');
+    return 0;
+  }
+  report.problems.forEach(function writeProblem(problem) {
+    write(util.format('%s: %s', problem.type, problem.message));
+  });
+  write(util.format('%d problem%s found in scopes %s.', report.problems.length,
+    report.problems.length === 1 ? '' : 's', hierarchy.join(' > ')));
+  return 1;
+}
+
+/**
+ * @description
+ * Runs the command-line inspector, that loads a module exporting a map of
+ * services, builds the hierarchy of scopes, and lists services, explains
+ * which implementation require returns, prints the dependency graph, or
+ * checks the scopes for problems.
+ * @param {Array} args The command-line arguments, without the node executable and script.
+ * @param {object} [output] The stream to write results to. Defaults to process.stdout.
+ * @param {object} [errorOutput] The stream to write errors to. Defaults to process.stderr.
+ * @returns {number} The exit code: 0 on success, 1 if the command found problems,
+ * and 2 if the command couldn't be run.
+ */
+function cli(args, output, errorOutput) {
+  output = output || process.stdout;
+  errorOutput = errorOutput || process.stderr;
+  function write(line) {
+    output.write(line + '\n');
+  }
+  try {
+    var parsed = parseArguments(args);
+    var command = parsed.positional[0];
+    if (parsed.help || command === 'help') {
+      write(usage);
+      return 0;
+    }
+    if (!command) {
+      write(usage);
+      return 2;
+    }
+    if (!commandArguments.hasOwnProperty(command)) {
+      throw usageError(util.format("Unknown command '%s'.", command));
+    }
+    if (parsed.positional.length !== commandArguments[command] + 2) {
+      throw usageError(util.format("Wrong number of arguments for the '%s' command.", command));
+    }
+    var hierarchy = splitList(parsed.options.scopes || 'shell,request');
+    if (hierarchy.length === 0) throw usageError('The --scopes option needs at least one scope name.');
+    var features = parsed.options.features ? splitList(parsed.options.features) : null;
+    var shortestLivedScope = buildScopes(loadServices(parsed.positional[1]), hierarchy, features);
+    switch(command) {
+      case 'list':
+        return list(shortestLivedScope.describe(), write);
+      case 'why':
+        return why(shortestLivedScope.describe(), parsed.positional[2], write);
+      case 'graph':
+        return printGraph(shortestLivedScope.describe(), parsed.options.format || 'dot', write);
+      default:
+        return check(shortestLivedScope, hierarchy, write);
+    }
+  }
+  catch(err) {
+    errorOutput.write(err.message + '\n');
+    if (err.isUsageError) errorOutput.write('\n' + usage + '\n');
+    return 2;
+  }
+}
+
+module.exports = cli;
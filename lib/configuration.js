@@ -0,0 +1,215 @@
+// Decent Injection (c) 2014-2015 Bertrand Le Roy, under MIT. See LICENSE.txt for licensing details.
+'use strict';
+
+var path = require('path');
+var util = require('util');
+var scope = require('./scope');
+
+var configurationKeys = ['services', 'disabled'];
+var serviceKeys = ['module', 'modules', 'scope', 'transient', 'options'];
+
+/**
+ * @description
+ * Throws if an object has keys that are not in a list of valid keys.
+ * @param {object} object The object to check.
+ * @param {Array} validKeys The valid keys.
+ * @param {string} location A description of where the object is, for the error message.
+ */
+function checkKeys(object, validKeys, location) {
+  Object.getOwnPropertyNames(object).forEach(function checkKey(key) {
+    if (validKeys.indexOf(key) === -1) {
+      throw new Error(
+        util.format("Unknown key '%s' in %s. Valid keys are %s.",
+          key, location, validKeys.join(', ')));
+    }
+  });
+}
+
+/**
+ * @description
+ * Normalizes the configuration of a service, that can be a module path,
+ * an array of module paths, or an object.
+ * @param {string} service The service name.
+ * @param {string|Array|object} configuration The configuration of the service.
+ * @returns {object} The configuration of the service, with a modules array.
+ */
+function normalizeService(service, configuration) {
+  if (typeof configuration === 'string' || Array.isArray(configuration)) {
+    configuration = {modules: configuration};
+  }
+  if (!configuration || typeof configuration !== 'object') {
+    throw new Error(
+      util.format("The configuration of service '%s' must be a module path, " +
+        "an array of module paths, or an object.", service));
+  }
+  checkKeys(configuration, serviceKeys,
+    util.format("the configuration of service '%s'", service));
+  var modules = [].concat(configuration.module || [], configuration.modules || []);
+  if (modules.length === 0) {
+    throw new Error(
+      util.format("The configuration of service '%s' has no module.", service));
+  }
+  return {
+    modules: modules,
+    scope: configuration.scope,
+    transient: configuration.transient,
+    options: configuration.options
+  };
+}
+
+/**
+ * @description
+ * Loads the module for a service. Relative paths are resolved from the
+ * base directory, and package names are resolved as if they were required
+ * from a module in the base directory.
+ * @param {string} service The service name.
+ * @param {string} modulePath The path of the module.
+ * @param {string} baseDirectory The base directory.
+ * @returns {Function|object} The service class or static service.
+ */
+function loadModule(service, modulePath, baseDirectory) {
+  try {
+    return require(modulePath.charAt(0) === '.' ?
+      path.resolve(baseDirectory, modulePath) :
+      require.resolve(modulePath, {paths: [baseDirectory]}));
+  }
+  catch(err) {
+    var error = new Error(
+      util.format("Couldn't load module '%s' for service '%s': %s",
+        modulePath, service, err.message));
+    error.service = service;
+    error.modulePath = modulePath;
+    error.cause = err;
+    throw error;
+  }
+}
+
+/**
+ * @description
+ * Builds an implementation that has the scope and transient settings of a
+ * service configuration, without modifying the loaded module, whose exports
+ * are shared with anything else that requires it.
+ * Service classes are wrapped in a constructor that inherits their prototype
+ * and static properties, and static services in an object that inherits from them.
+ * @param {Function|object} ServiceClass The loaded service class or static service.
+ * @param {object} serviceConfiguration The normalized configuration of the service.
+ * @returns {Function|object} The configured implementation, or the service class
+ * itself if the configuration doesn't change its scope or transient settings.
+ */
+function configureImplementation(ServiceClass, serviceConfiguration) {
+  var overrides = {};
+  var isOverridden = false;
+  ['scope', 'transient'].forEach(function addOverride(setting) {
+    var value = serviceConfiguration[setting];
+    if (typeof value === 'undefined' || value === ServiceClass[setting]) return;
+    overrides[setting] = value;
+    isOverridden = true;
+  });
+  if (!isOverridden) return ServiceClass;
+  var ConfiguredService;
+  if (typeof ServiceClass === 'function' && !ServiceClass.isStatic) {
+    // Reflect.construct works with class syntax, that can't be called without new.
+    ConfiguredService = function ConfiguredService() {
+      return Reflect.construct(ServiceClass, arguments, ConfiguredService);
+    };
+    ConfiguredService.prototype = ServiceClass.prototype;
+    Object.setPrototypeOf(ConfiguredService, ServiceClass);
+    Object.defineProperty(ConfiguredService, 'name', {value: ServiceClass.name, configurable: true});
+  }
+  else {
+    ConfiguredService = Object.create(ServiceClass);
+  }
+  // Scopes check whether the scope was declared on the implementation itself.
+  ['scope', 'transient'].forEach(function setSetting(setting) {
+    if (overrides.hasOwnProperty(setting)) {
+      ConfiguredService[setting] = overrides[setting];
+    }
+    else if (ServiceClass.hasOwnProperty(setting)) {
+      ConfiguredService[setting] = ServiceClass[setting];
+    }
+  });
+  return ConfiguredService;
+}
+
+/**
+ * @description
+ * Builds or extends a scope from a declarative configuration.
+ * The configuration has a services object, that maps service names to a module
+ * path, an array of module paths, or an object with module or modules, scope,
+ * transient, and options properties, and an optional disabled array of service
+ * names and module paths to leave out.
+ * The service classes are registered with the scope and transient properties,
+ * as if they had declared them, but the loaded modules are left untouched, so
+ * each configuration can set its own. The options are configured on the scope
+ * as the default options for the service.
+ * The whole configuration is validated, and all modules are loaded, before
+ * anything gets registered.
+ * @param {object|string} configuration The configuration, or the path of a JSON or
+ * JavaScript file that exports it.
+ * @param {object} [settings] The settings for the loader.
+ * @param {object} [settings.scope] An existing scope to extend.
+ * @param {string} [settings.name] The name of the scope to build, if no existing scope is extended.
+ * @param {object} [settings.objectToScope] The object to make a scope. Defaults to a new object.
+ * @param {object} [settings.parentScope] The parent of the scope to build.
+ * @param {string} [settings.baseDirectory] The directory relative module paths are resolved from.
+ * Defaults to the directory of the configuration file, or to the current directory.
+ * @returns {object} The scope.
+ */
+function loadConfiguration(configuration, settings) {
+  settings = settings || {};
+  var baseDirectory = settings.baseDirectory;
+  if (typeof configuration === 'string') {
+    var configurationFile = path.resolve(configuration);
+    baseDirectory = baseDirectory || path.dirname(configurationFile);
+    configuration = require(configurationFile);
+  }
+  baseDirectory = path.resolve(baseDirectory || process.cwd());
+  checkKeys(configuration, configurationKeys, 'the configuration');
+  var disabled = configuration.disabled || [];
+  if (!Array.isArray(disabled)) {
+    throw new Error('The disabled list of the configuration must be an array.');
+  }
+  var servicesConfiguration = configuration.services || {};
+  var serviceNames = Object.getOwnPropertyNames(servicesConfiguration);
+  var serviceConfigurations = {};
+  serviceNames.forEach(function validateService(service) {
+    serviceConfigurations[service] = normalizeService(service, servicesConfiguration[service]);
+  });
+  serviceNames = serviceNames.filter(function isEnabled(service) {
+    return disabled.indexOf(service) === -1;
+  });
+  var services = {};
+  serviceNames.forEach(function loadService(service) {
+    services[service] = serviceConfigurations[service].modules
+      .filter(function isEnabled(modulePath) {
+        return disabled.indexOf(modulePath) === -1;
+      })
+      .map(function loadServiceModule(modulePath) {
+        return loadModule(service, modulePath, baseDirectory);
+      });
+  });
+  serviceNames.forEach(function applyConfiguration(service) {
+    services[service] = services[service].map(function applyServiceConfiguration(ServiceClass) {
+      return configureImplementation(ServiceClass, serviceConfigurations[service]);
+    });
+  });
+  var target = settings.scope;
+  if (target) {
+    Object.getOwnPropertyNames(services).forEach(function registerService(service) {
+      services[service].forEach(function registerImplementation(ServiceClass) {
+        target.register(service, ServiceClass);
+      });
+    });
+  }
+  else {
+    target = scope(settings.name || '', settings.objectToScope || {},
+      services, settings.parentScope);
+  }
+  serviceNames.forEach(function configureService(service) {
+    var options = serviceConfigurations[service].options;
+    if (options) target.configure(service, options);
+  });
+  return target;
+}
+
+module.exports = loadConfiguration;
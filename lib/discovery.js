@@ -0,0 +1,145 @@
+// Decent Injection (c) 2014-2015 Bertrand Le Roy, under MIT. See LICENSE.txt for licensing details.
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+
+/**
+ * @description
+ * Lists the JavaScript files under a directory, recursively, sorted by path,
+ * so that discovery always finds services in the same order.
+ * Files and directories whose names start with a dot or an underscore are skipped.
+ * @param {string} directory The directory to scan.
+ * @returns {Array} The paths of the JavaScript files.
+ */
+function listServiceFiles(directory) {
+  var files = [];
+  fs.readdirSync(directory)
+    .filter(function isVisible(name) {
+      return name.charAt(0) !== '.' && name.charAt(0) !== '_';
+    })
+    .sort()
+    .forEach(function addFiles(name) {
+      var filePath = path.join(directory, name);
+      if (fs.statSync(filePath).isDirectory()) {
+        Array.prototype.push.apply(files, listServiceFiles(filePath));
+      }
+      else if (path.extname(name) === '.js') {
+        files.push(filePath);
+      }
+    });
+  return files;
+}
+
+/**
+ * @description
+ * Gets the directories to scan that are declared by a package.json file,
+ * under the specified field. The field can be a directory or an array of
+ * directories, relative to the package.
+ * @param {string} packageFile The path of the package.json file.
+ * @param {string} field The name of the field.
+ * @returns {Array} The absolute paths of the directories.
+ */
+function getPackageDirectories(packageFile, field) {
+  var packageDirectory = path.dirname(path.resolve(packageFile));
+  var declared = JSON.parse(fs.readFileSync(packageFile, 'utf8'))[field];
+  if (!declared) return [];
+  return (Array.isArray(declared) ? declared : [declared])
+    .map(function resolveDirectory(directory) {
+      return path.resolve(packageDirectory, directory);
+    });
+}
+
+/**
+ * @description
+ * Loads a service file, and describes the service it exports.
+ * The service name is read from the service property of the export, and
+ * defaults to the name of the file. The service property can also be an
+ * array of names.
+ * @param {string} file The path of the file.
+ * @returns {object} The entry for the service, with file, ServiceClass, names,
+ * scope, and transient properties.
+ */
+function loadServiceFile(file) {
+  var ServiceClass;
+  try {
+    ServiceClass = require(file);
+  }
+  catch(err) {
+    var error = new Error(
+      util.format("Couldn't load service file %s: %s", file, err.message));
+    error.file = file;
+    error.cause = err;
+    throw error;
+  }
+  var names = ServiceClass.service || path.basename(file, '.js');
+  names = Array.isArray(names) ? names : [names];
+  return {
+    file: file,
+    ServiceClass: ServiceClass,
+    names: names,
+    scope: ServiceClass.scope || null,
+    transient: !!ServiceClass.transient
+  };
+}
+
+/**
+ * @description
+ * Discovers services in directories, and builds the map of services
+ * that the scope function expects.
+ * Directories are scanned in the order they are specified, and the files
+ * in each directory are scanned in alphabetical order, so that the order
+ * of the implementations of a service is always the same.
+ * @param {object} options The discovery options.
+ * @param {Array|string} [options.directories] The directories to scan.
+ * @param {string} [options.packageFile] The path of a package.json file that
+ * declares directories to scan.
+ * @param {string} [options.field] The field of the package.json file that declares
+ * the directories to scan. Defaults to 'services'.
+ * @param {object} [options.services] An existing map of services to add the
+ * discovered services to. Its lists of services are replaced, not modified in place.
+ * @param {boolean} [options.dryRun] True to list the services that would be
+ * registered, instead of building the map of services.
+ * @returns {object|Array} The map of services, or if dryRun is true, an array of
+ * entries that describe each discovered service, with file, names, scope, and
+ * transient properties.
+ */
+function discover(options) {
+  options = options || {};
+  var directories = options.directories || [];
+  directories = (Array.isArray(directories) ? directories : [directories])
+    .map(function resolveDirectory(directory) {
+      return path.resolve(directory);
+    });
+  if (options.packageFile) {
+    directories = directories.concat(
+      getPackageDirectories(options.packageFile, options.field || 'services'));
+  }
+  var entries = [];
+  directories.forEach(function scanDirectory(directory) {
+    listServiceFiles(directory).forEach(function addEntry(file) {
+      entries.push(loadServiceFile(file));
+    });
+  });
+  if (options.dryRun) {
+    return entries.map(function describeEntry(entry) {
+      return {
+        file: entry.file,
+        names: entry.names,
+        scope: entry.scope,
+        transient: entry.transient
+      };
+    });
+  }
+  var services = options.services || {};
+  entries.forEach(function registerEntry(entry) {
+    entry.names.forEach(function registerName(name) {
+      // Lists of services are never modified in place.
+      services[name] = (services[name] || []).concat(entry.ServiceClass);
+    });
+  });
+  return services;
+}
+
+module.exports = discover;
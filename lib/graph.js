@@ -0,0 +1,188 @@
+// Decent Injection (c) 2014-2015 Bertrand Le Roy, under MIT. See LICENSE.txt for licensing details.
+'use strict';
+
+/**
+ * @description
+ * Describes the lifetime of an implementation.
+ * @param {object} implementation The implementation, as described by scope.describe.
+ * @returns {string} 'transient', 'static', 'singleton', or 'singleton on ' followed
+ * by the name of the scope, or null for scopes.
+ */
+function getLifetime(implementation) {
+  return implementation.kind === 'scope' ? null :
+    implementation.transient ? 'transient' :
+    implementation.isStatic || implementation.kind === 'value' ? 'static' :
+    implementation.scope ? 'singleton on ' + implementation.scope : 'singleton';
+}
+
+/**
+ * @description
+ * Gets the label of an implementation node, with its lifetime.
+ * @param {object} implementation The implementation, as described by scope.describe.
+ * @returns {Array} The lines of the label.
+ */
+function getNodeLines(implementation) {
+  var lifetime = getLifetime(implementation);
+  var lines = [implementation.name];
+  if (lifetime) lines.push(lifetime);
+  if (!implementation.enabled) lines.push('disabled');
+  return lines;
+}
+
+/**
+ * @description
+ * Gets the label of a dependency edge: the kind of injection, if it's not
+ * a plain instance, and the property it's injected into.
+ * @param {object} dependency The dependency, as described by scope.describe.
+ * @returns {string} The label, or an empty string.
+ */
+function getEdgeLabel(dependency) {
+  var parts = [];
+  if (dependency.kind !== 'instance') parts.push(dependency.kind);
+  if (dependency.property) parts.push(dependency.property);
+  if (dependency.optional) parts.push('optional');
+  return parts.join(' ');
+}
+
+/**
+ * @description
+ * Walks the services and dependencies of a description, calling back for
+ * each service, each implementation, and each edge.
+ * Dependencies that don't resolve to any implementation produce an edge to
+ * a missing node, named after the service.
+ * @param {object} description The description of the scope, as returned by scope.describe.
+ * @param {object} visitor An object with service(service),
+ * edge(fromId, toId, dependency), and missing(id, serviceName) functions.
+ */
+function walk(description, visitor) {
+  var missing = [];
+  description.services.forEach(function visitService(service) {
+    visitor.service(service);
+  });
+  description.services.forEach(function visitEdges(service) {
+    service.implementations.forEach(function visitImplementation(implementation) {
+      implementation.dependencies.forEach(function visitDependency(dependency) {
+        if (dependency.resolvesTo.length === 0) {
+          var missingId = 'missing/' + dependency.service;
+          if (missing.indexOf(missingId) === -1) {
+            missing.push(missingId);
+            visitor.missing(missingId, dependency.service);
+          }
+          visitor.edge(implementation.id, missingId, dependency);
+          return;
+        }
+        dependency.resolvesTo.forEach(function visitTarget(targetId) {
+          visitor.edge(implementation.id, targetId, dependency);
+        });
+      });
+    });
+  });
+}
+
+/**
+ * @description
+ * Quotes a string for the DOT language. Line breaks become DOT line breaks.
+ * @param {string} text The text.
+ * @returns {string} The quoted text.
+ */
+function quoteDot(text) {
+  return '"' + String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+}
+
+/**
+ * @description
+ * Serializes the description of a scope to the Graphviz DOT language.
+ * Services are rendered as clusters of implementation nodes, and dependencies
+ * as edges from an implementation to the implementations it resolves to.
+ * @param {object} description The description of the scope, as returned by scope.describe.
+ * @returns {string} The DOT graph.
+ */
+function toDot(description) {
+  var lines = [
+    'digraph ' + quoteDot(description.scope) + ' {',
+    '  rankdir=LR;',
+    '  node [shape=box];'
+  ];
+  var clusterIndex = 0;
+  walk(description, {
+    service: function renderService(service) {
+      lines.push('  subgraph ' + quoteDot('cluster_' + clusterIndex++) + ' {');
+      lines.push('    label=' + quoteDot(service.name) + ';');
+      service.implementations.forEach(function renderImplementation(implementation) {
+        var attributes = ['label=' + quoteDot(getNodeLines(implementation).join('\n'))];
+        if (implementation.selected) attributes.push('penwidth=2');
+        if (!implementation.enabled) attributes.push('style=dashed');
+        lines.push('    ' + quoteDot(implementation.id) + ' [' + attributes.join(', ') + '];');
+      });
+      lines.push('  }');
+    },
+    missing: function renderMissing(id, service) {
+      lines.push('  ' + quoteDot(id) + ' [label=' + quoteDot(service + '\nmissing') +
+        ', style=dashed, color=red];');
+    },
+    edge: function renderEdge(fromId, toId, dependency) {
+      var label = getEdgeLabel(dependency);
+      var attributes = [];
+      if (label) attributes.push('label=' + quoteDot(label));
+      if (dependency.kind === 'lazy' || dependency.kind === 'provider') attributes.push('style=dashed');
+      lines.push('  ' + quoteDot(fromId) + ' -> ' + quoteDot(toId) +
+        (attributes.length > 0 ? ' [' + attributes.join(', ') + ']' : '') + ';');
+    }
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * @description
+ * Escapes a string for a Mermaid label.
+ * @param {string} text The text.
+ * @returns {string} The escaped text.
+ */
+function escapeMermaid(text) {
+  return String(text).replace(/"/g, '#quot;');
+}
+
+/**
+ * @description
+ * Serializes the description of a scope to a Mermaid flowchart.
+ * Services are rendered as subgraphs of implementation nodes, and dependencies
+ * as edges from an implementation to the implementations it resolves to.
+ * @param {object} description The description of the scope, as returned by scope.describe.
+ * @returns {string} The Mermaid flowchart.
+ */
+function toMermaid(description) {
+  var lines = ['flowchart LR'];
+  var nodeIds = {};
+  var nodeCount = 0;
+  function getNodeId(id) {
+    return nodeIds[id] || (nodeIds[id] = 'n' + nodeCount++);
+  }
+  var subgraphIndex = 0;
+  walk(description, {
+    service: function renderService(service) {
+      lines.push('  subgraph s' + subgraphIndex++ + ' ["' + escapeMermaid(service.name) + '"]');
+      service.implementations.forEach(function renderImplementation(implementation) {
+        lines.push('    ' + getNodeId(implementation.id) +
+          '["' + escapeMermaid(getNodeLines(implementation).join('<br/>')) + '"]');
+      });
+      lines.push('  end');
+    },
+    missing: function renderMissing(id, service) {
+      lines.push('  ' + getNodeId(id) + '["' + escapeMermaid(service) + '<br/>missing"]');
+    },
+    edge: function renderEdge(fromId, toId, dependency) {
+      var label = getEdgeLabel(dependency);
+      var arrow = dependency.kind === 'lazy' || dependency.kind === 'provider' ? '-.->' : '-->';
+      lines.push('  ' + getNodeId(fromId) + ' ' + arrow +
+        (label ? '|' + escapeMermaid(label) + '|' : '') + ' ' + getNodeId(toId));
+    }
+  });
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  getLifetime: getLifetime,
+  toDot: toDot,
+  toMermaid: toMermaid
+};
@@ -4,6 +4,102 @@
 // TODO: enable global require for indecent dependencies, so we can load them only once, save on memory and ramp-up times. Should be fine for common libraries such as async.
 
 var util = require('util');
+var AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+
+/**
+ * Keeps track of the current scope, across asynchronous calls, for the code
+ * that is run with scope.run. Not available on versions of Node that don't
+ * have AsyncLocalStorage.
+ * @type {AsyncLocalStorage}
+ */
+var currentScopeStorage = AsyncLocalStorage ? new AsyncLocalStorage() : null;
+
+/**
+ * The WeakRef constructor, that parents use to track their sub-scopes without
+ * keeping them alive. Not available on versions of Node before 14.6, where
+ * sub-scopes are not tracked, as that would keep them all alive.
+ * @type {Function}
+ */
+var WeakReference = typeof WeakRef === 'function' ? WeakRef : null;
+
+/**
+ * The chain of services that are currently being resolved, across all scopes.
+ * Resolution is synchronous, so this is used to detect circular dependencies.
+ * Each entry has the service name, the service class, and the resolving scope.
+ * @type {Array}
+ */
+var resolutionPath = [];
+
+/**
+ * @description
+ * The options that were passed by the caller when singletons were built,
+ * used to detect singletons that are later required with different options,
+ * and whether a warning was already emitted for them.
+ * @type {WeakMap}
+ */
+var singletonOptions = new WeakMap();
+
+/**
+ * The debug logger for resolution traces, enabled by setting the NODE_DEBUG
+ * environment variable to a list that contains decent-injection.
+ * @type {Function}
+ */
+var debuglog = util.debuglog('decent-injection');
+
+/**
+ * Whether the debug logger is enabled, on versions of Node whose debug
+ * loggers don't have an enabled property. Like Node, this looks for the
+ * name of the logger, or a wildcard pattern that matches it, in NODE_DEBUG.
+ * @type {boolean}
+ */
+var isDebugLogEnabledByEnvironment = (process.env.NODE_DEBUG || '').split(',')
+  .some(function matchesLogger(pattern) {
+    pattern = pattern.trim().replace(/[|\\{}()[\]^$+?.]/g, '\\$&').replace(/\*/g, '.*');
+    return pattern.length > 0 && new RegExp('^' + pattern + '$', 'i').test('decent-injection');
+  });
+
+/**
+ * @description
+ * Finds if the debug logger is enabled.
+ * @returns {boolean} True if resolution traces must be logged.
+ */
+function isDebugLogEnabled() {
+  return typeof debuglog.enabled === 'boolean' ? debuglog.enabled : isDebugLogEnabledByEnvironment;
+}
+
+/**
+ * @description
+ * Describes a service that was registered as a value, a factory, or an alias,
+ * rather than as a class or a static object.
+ * Factories can declare scope, transient, init, on, before, after, key, tags,
+ * enabledWhen, and requires static properties, with the same meaning as on
+ * service classes.
+ * Don't call this directly, instances are built by the scope's registration methods.
+ * @param {string} type The type of registration: 'value', 'factory', or 'alias'.
+ * @param {*} target The value, the factory function, or the aliased service name.
+ * @param {object} [metadata] The key and tags of a value registration.
+ * @constructor
+ */
+function Registration(type, target, metadata) {
+  this.type = type;
+  this.target = target;
+  if (metadata) {
+    this.key = metadata.key;
+    this.tags = metadata.tags;
+  }
+  if (type !== 'factory') return;
+  this.name = target.name;
+  var self = this;
+  ['scope', 'transient', 'on', 'before', 'after', 'key', 'tags', 'enabledWhen', 'requires']
+    .forEach(function copyDeclaration(declaration) {
+      if (target.hasOwnProperty(declaration)) {
+        self[declaration] = target[declaration];
+      }
+    });
+  if (typeof target.init === 'function') {
+    this.init = target.init.bind(target);
+  }
+}
 
 /**
  * @description
@@ -18,12 +114,16 @@ var util = require('util');
  */
 function construct(scope, ServiceClass, options) {
   if (!ServiceClass) return null;
+  if (ServiceClass instanceof Registration) {
+    return ServiceClass.type === 'factory' ?
+      ServiceClass.target(scope, options) : ServiceClass.target;
+  }
   var instance = null;
   if (typeof ServiceClass === 'function' && !ServiceClass.isStatic) {
     if (ServiceClass.inject) {
       var constructorArguments = ServiceClass.inject
         .map(function requireDependency(dependency) {
-          return scope.require(dependency);
+          return injectDependency(scope, ServiceClass, dependency);
         });
       if (options) constructorArguments.push(options);
       var BoundConstructor = function BoundConstructor() {
@@ -42,8 +142,14 @@ function construct(scope, ServiceClass, options) {
   if (ServiceClass.injectProperties) {
     Object.getOwnPropertyNames(ServiceClass.injectProperties)
       .forEach(function injectProperty(propertyName) {
-        instance[propertyName] =
-          scope.require(ServiceClass.injectProperties[propertyName]);
+        var dependency = ServiceClass.injectProperties[propertyName];
+        var injected = injectDependency(scope, ServiceClass, dependency);
+        if (parseDependency(dependency).kind === 'lazy') {
+          defineLazyProperty(instance, propertyName, injected);
+        }
+        else {
+          instance[propertyName] = injected;
+        }
       });
   }
   return instance;
@@ -51,299 +157,3130 @@ function construct(scope, ServiceClass, options) {
 
 /**
  * @description
- * Gets the instance for a singleton service.
- * This should not be called, except by scope methods.
- * @param {object} scope The scoped object.
- * @param {string} service The service name.
- * @param {number} index The index at which the service is to be cached.
- * @param {object} [options] The options to pass into the service constructor.
- * @returns {object} The singleton instance.
+ * Defines a property that resolves a lazy dependency the first time it's read.
+ * @param {object} instance The object on which to define the property.
+ * @param {string} propertyName The name of the property.
+ * @param {Function} getter The function that resolves the dependency.
  */
-function getSingleton(scope, service, index, options) {
-  var serviceClasses = scope.services[service];
-  // Get or build the instance cache
-  var instances = scope.instances[service];
-  if (!instances) {
-    instances = scope.instances[service] = new Array(serviceClasses.length);
+function defineLazyProperty(instance, propertyName, getter) {
+  Object.defineProperty(instance, propertyName, {
+    configurable: true,
+    enumerable: true,
+    get: getter,
+    set: function setLazyProperty(value) {
+      Object.defineProperty(instance, propertyName, {
+        configurable: true,
+        enumerable: true,
+        writable: true,
+        value: value
+      });
+    }
+  });
+}
+
+/**
+ * @description
+ * Parses a dependency, as found in inject and injectProperties declarations.
+ * A dependency is a service name, optionally prefixed with a question mark
+ * to mark it as optional, and with a 'lazy:', 'provider:', or 'all:' token
+ * that changes what gets injected. The name can be followed by '#key' to
+ * select the implementation with that key, and by '@tag' to select the
+ * implementations that have that tag.
+ * @param {string} dependency The dependency.
+ * @returns {object} An object with the service name, an optional flag,
+ * the kind of injection ('instance', 'lazy', 'provider', or 'all'), and
+ * the selection of implementations, if any, as an object with key and tag properties.
+ */
+function parseDependency(dependency) {
+  var match = /^(\?)?(?:(lazy|provider|all):)?(\?)?([^#@]*)(?:#([^@]*))?(?:@(.*))?$/
+    .exec(dependency);
+  var selection = null;
+  if (match[5] || match[6]) {
+    selection = {};
+    if (match[5]) selection.key = match[5];
+    if (match[6]) selection.tag = match[6];
   }
-  // Try to get the instance from the cache
-  var instance = instances[index];
-  if (instance) return instance;
-  // if scope is not current, walk parent scopes to find the current one
-  var serviceClass = serviceClasses[index];
-  var currentScope = scope;
-  if (serviceClass.scope) {
-    while (currentScope && (currentScope.scopeName !== serviceClass.scope)) {
-      currentScope = currentScope.parentScope;
+  return {
+    name: match[4],
+    optional: !!(match[1] || match[3]),
+    kind: match[2] || 'instance',
+    selection: selection
+  };
+}
+
+/**
+ * @description
+ * Finds if an implementation matches the key and tag of a selection.
+ * @param {Function|object} ServiceClass The implementation.
+ * @param {object} [selection] An object that can have key and tag properties.
+ * @returns {boolean} True if the implementation has the key and the tag, if specified.
+ */
+function matchesSelection(ServiceClass, selection) {
+  if (!selection) return true;
+  if (typeof selection.key !== 'undefined' && ServiceClass.key !== selection.key) {
+    return false;
+  }
+  if (typeof selection.tag !== 'undefined'
+    && !(Array.isArray(ServiceClass.tags) && ServiceClass.tags.indexOf(selection.tag) !== -1)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * @description
+ * Combines two sets of options into a new object.
+ * @param {object} [options] The options.
+ * @param {object} [overrides] The options that take precedence.
+ * @returns {object} The combined options, or options if there are no overrides.
+ */
+function mergeOptions(options, overrides) {
+  if (!overrides) return options;
+  var combined = {};
+  [options, overrides].forEach(function copyProperties(source) {
+    if (!source) return;
+    Object.getOwnPropertyNames(source).forEach(function copyProperty(property) {
+      combined[property] = source[property];
+    });
+  });
+  return combined;
+}
+
+/**
+ * @description
+ * Gets a readable description of a dependency, with its key and tag, for error messages.
+ * @param {object} parsed The dependency, as returned by parseDependency.
+ * @returns {string} The description.
+ */
+function describeDependency(parsed) {
+  var description = parsed.name;
+  if (parsed.selection && parsed.selection.key) description += '#' + parsed.selection.key;
+  if (parsed.selection && parsed.selection.tag) description += '@' + parsed.selection.tag;
+  return description;
+}
+
+/**
+ * @description
+ * Gets the value of a setting that scopes inherit from their parent scope,
+ * unless they set their own value.
+ * @param {object} scope The scope.
+ * @param {string} setting The name of the setting property.
+ * @returns {*} The value of the setting, or undefined if no scope in the chain sets it.
+ */
+function getInheritedSetting(scope, setting) {
+  for (var currentScope = scope; currentScope; currentScope = currentScope.parentScope) {
+    if (typeof currentScope[setting] !== 'undefined') return currentScope[setting];
+  }
+  return undefined;
+}
+
+/**
+ * @description
+ * Finds if a scope is in strict mode. Scopes inherit strict mode from
+ * their parent scope, unless they set their own strict property.
+ * @param {object} scope The scope.
+ * @returns {boolean} True if the scope is in strict mode.
+ */
+function isStrict(scope) {
+  return getInheritedSetting(scope, 'strict') === true;
+}
+
+/**
+ * @description
+ * Finds if an implementation is enabled on a scope. An implementation is
+ * enabled if all the features in its requires array are in the scope's
+ * features, and if its enabledWhen predicate, if any, returns true for the scope.
+ * Scopes inherit features from their parent scope, unless they set their own
+ * features property. This is evaluated every time, so that sub-scopes can
+ * have different sets of enabled services.
+ * @param {object} scope The scope.
+ * @param {Function|object} ServiceClass The implementation.
+ * @returns {boolean} True if the implementation is enabled.
+ */
+function isEnabled(scope, ServiceClass) {
+  if (Array.isArray(ServiceClass.requires)) {
+    var features = getInheritedSetting(scope, 'features') || [];
+    for (var i = 0; i < ServiceClass.requires.length; i++) {
+      if (features.indexOf(ServiceClass.requires[i]) === -1) return false;
     }
-    // Note: currentScope might be null at this point, which will make the object
-    // scope-less. Not necessarily a problem, but probably not very useful.
-    if (currentScope && scope != currentScope) {
-      var currentScopeServiceClasses = currentScope.services[service];
-      var currentScopeIndex = currentScopeServiceClasses.indexOf(serviceClass);
-      if (currentScopeIndex !== -1) {
-        var currentScopeInstances = currentScope.instances[service];
-        if (!currentScopeInstances) {
-          currentScopeInstances = currentScope.instances[service] =
-            new Array(currentScopeServiceClasses.length);
-        }
-        instance = currentScopeInstances[currentScopeIndex];
-        if (instance) {
-          return instances[index] = instance;
-        }
-        return currentScopeInstances[currentScopeIndex]
-          = instances[index]
-          = construct(currentScope, serviceClass, options);
+  }
+  if (typeof ServiceClass.enabledWhen === 'function') {
+    return !!ServiceClass.enabledWhen(scope);
+  }
+  return true;
+}
+
+/**
+ * @description
+ * Gets the name of the service that is being resolved, for error messages.
+ * @param {Function|object} ServiceClass The service class being constructed.
+ * @returns {string} The name of the service.
+ */
+function getRequestingService(ServiceClass) {
+  var requestingStep = resolutionPath[resolutionPath.length - 1];
+  return requestingStep ? requestingStep.service : ServiceClass.name;
+}
+
+/**
+ * @description
+ * Finds if a service would be captive if it was injected into a singleton
+ * built on the scope: that is the case if the service is scoped to a scope that
+ * is neither the scope nor one of its parents, and is thus shorter-lived.
+ * @param {object} scope The scope on which the singleton is built.
+ * @param {string} service The name of the injected service.
+ * @param {boolean} [all] True to check all implementations of the service,
+ * instead of only the one that require would return.
+ * @param {object} [selection] The key and tag that the implementations must have.
+ * @returns {object} The class of the implementation that would be captive, or null.
+ */
+function getCaptiveImplementation(scope, service, all, selection) {
+  var indices = [];
+  if (all) {
+    (scope.services[service] || []).forEach(function (ServiceClass, index) {
+      if (isEnabled(scope, ServiceClass) && matchesSelection(ServiceClass, selection)) {
+        indices.push(index);
+      }
+    });
+  }
+  else {
+    var index = selectImplementation(scope, service, selection);
+    indices = index === -1 ? [] : [index];
+  }
+  for (var i = 0; i < indices.length; i++) {
+    var DependencyClass = scope.services[service][indices[i]];
+    if (!DependencyClass.scope) continue;
+    var isCaptive = true;
+    for (var currentScope = scope; currentScope; currentScope = currentScope.parentScope) {
+      if (currentScope.scopeName === DependencyClass.scope) {
+        isCaptive = false;
+        break;
       }
     }
-    // At this point, if the scope is not currentScope, it's an error case:
-    // the service's scope is incompatible with the scope chain or the available
-    // services on the scopes.
-    if (scope.scopeName !== serviceClass.scope) {
+    if (isCaptive) return DependencyClass;
+  }
+  return null;
+}
+
+/**
+ * @description
+ * Gets the current scope, as set by scope.run, and throws if there is none.
+ * @param {string} service The name of the service that needs the current scope.
+ * @returns {object} The current scope.
+ */
+function getCurrentScope(service) {
+  var currentScope = currentScopeStorage ? currentScopeStorage.getStore() : null;
+  if (!currentScope) {
+    throw new Error(
+      util.format(
+        "Can't resolve %s: there is no current scope. " +
+        "Run the code that uses it with scope.run.",
+        service));
+  }
+  return currentScope;
+}
+
+/**
+ * @description
+ * Creates a proxy for a service that resolves the service from the current
+ * scope, as set by scope.run, every time it's used.
+ * @param {string} service The name of the service.
+ * @param {boolean} [all] True to proxy the array of all the instances of the
+ * service, instead of a single instance.
+ * @param {object} [selection] The key and tag that the implementations must have.
+ * @returns {object} The proxy.
+ */
+function createCurrentScopeProxy(service, all, selection) {
+  function resolveFromCurrentScope() {
+    var currentScope = getCurrentScope(service);
+    return all ?
+      currentScope.getServices(service, null, selection) :
+      currentScope.require(service, null, selection);
+  }
+  return new Proxy(all ? [] : {}, {
+    get: function getFromCurrentScope(target, property) {
+      var instance = resolveFromCurrentScope();
+      if (instance == null) return undefined;
+      var value = instance[property];
+      return typeof value === 'function' ? value.bind(instance) : value;
+    },
+    set: function setOnCurrentScope(target, property, value) {
+      resolveFromCurrentScope()[property] = value;
+      return true;
+    },
+    has: function hasOnCurrentScope(target, property) {
+      var instance = resolveFromCurrentScope();
+      return instance != null && property in instance;
+    }
+  });
+}
+
+/**
+ * @description
+ * Gets the instance to inject for a dependency of a service.
+ * 'lazy:' dependencies inject a function that resolves the service the first
+ * time it's called, 'provider:' dependencies a function that resolves the
+ * service with the options it's passed every time it's called, and 'all:'
+ * dependencies the array of all the instances of the service.
+ * In strict mode, a missing dependency that is not marked as optional throws.
+ * If a singleton injects a service that is scoped to a shorter-lived scope,
+ * an error is thrown, unless the scope's captiveDependencies setting is 'proxy',
+ * in which case the service is resolved from the current scope instead.
+ * @param {object} scope The scope.
+ * @param {Function|object} ServiceClass The service class that has the dependency.
+ * @param {string} dependency The dependency, as declared by the service class.
+ * @returns {object} The instance to inject.
+ */
+function injectDependency(scope, ServiceClass, dependency) {
+  var parsed = parseDependency(dependency);
+  var selection = parsed.selection;
+  if (!ServiceClass.transient) {
+    var CaptiveClass = getCaptiveImplementation(
+      scope, parsed.name, parsed.kind === 'all', selection);
+    if (CaptiveClass) {
+      if (getInheritedSetting(scope, 'captiveDependencies') === 'proxy') {
+        switch (parsed.kind) {
+          case 'provider':
+            return function provideFromCurrentScope(options) {
+              return getCurrentScope(parsed.name).require(parsed.name, options, selection);
+            };
+          case 'lazy':
+            var proxy = createCurrentScopeProxy(parsed.name, false, selection);
+            return function getProxy() {return proxy;};
+          default:
+            return createCurrentScopeProxy(parsed.name, parsed.kind === 'all', selection);
+        }
+      }
       throw new Error(
         util.format(
-          "Couldn't find an instance of %s on scope %s.",
-          service, serviceClass.scope));
+          "Lifetime mismatch: %s is a singleton on scope '%s', but injects %s, which is " +
+          "scoped to '%s' and would outlive it. Make %s transient or shorter-lived, or set " +
+          "captiveDependencies to 'proxy' on the scope to inject a proxy that resolves %s " +
+          "from the current scope.",
+          getRequestingService(ServiceClass), scope.scopeName, describeDependency(parsed),
+          CaptiveClass.scope, getRequestingService(ServiceClass), describeDependency(parsed)));
+    }
+  }
+  switch (parsed.kind) {
+    case 'all':
+      return scope.getServices(parsed.name, null, selection);
+    case 'provider':
+    case 'lazy':
+      if (!parsed.optional && isStrict(scope)
+        && selectImplementation(scope, parsed.name, selection) === -1) {
+        throwMissingDependency(scope, ServiceClass, describeDependency(parsed));
+      }
+      if (parsed.kind === 'provider') {
+        return function provide(options) {
+          return scope.require(parsed.name, options, selection);
+        };
+      }
+      var resolved = false;
+      var lazyInstance;
+      return function getLazy() {
+        if (!resolved) {
+          lazyInstance = scope.require(parsed.name, null, selection);
+          resolved = true;
+        }
+        return lazyInstance;
+      };
+  }
+  var instance = scope.require(parsed.name, null, selection);
+  if (instance == null && !parsed.optional && isStrict(scope)) {
+    throwMissingDependency(scope, ServiceClass, describeDependency(parsed));
+  }
+  return instance;
+}
+
+/**
+ * @description
+ * Throws an error for a missing dependency in strict mode.
+ * @param {object} scope The scope.
+ * @param {Function|object} ServiceClass The service class that has the dependency.
+ * @param {string} service The name of the missing service.
+ */
+function throwMissingDependency(scope, ServiceClass, service) {
+  var requestingService = getRequestingService(ServiceClass);
+  throw new Error(
+    util.format(
+      "Missing dependency: %s requires %s, which couldn't be found on scope '%s'. " +
+      "Register an implementation of %s, or mark the dependency as optional with '?%s'.",
+      requestingService, service, scope.scopeName, service, service));
+}
+
+/**
+ * @description
+ * Gets the current time, in milliseconds, with sub-millisecond precision.
+ * @returns {number} The time.
+ */
+function now() {
+  var time = process.hrtime();
+  return time[0] * 1e3 + time[1] / 1e6;
+}
+
+/**
+ * @description
+ * Finds if resolution events need to be traced for a scope: that is the case
+ * if the debug logger is enabled, or if the scope or one of its parents has
+ * resolve listeners.
+ * @param {object} scope The scope.
+ * @returns {boolean} True if events need to be traced.
+ */
+function isTracing(scope) {
+  if (isDebugLogEnabled()) return true;
+  for (var currentScope = scope; currentScope; currentScope = currentScope.parentScope) {
+    if (currentScope._resolveListeners && currentScope._resolveListeners.length > 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * @description
+ * Sends a resolution event to the resolve listeners of a scope and its parents,
+ * and to the debug logger.
+ * @param {object} scope The scope the event happened on.
+ * @param {object} event The event, that has at least type and service properties.
+ */
+function trace(scope, event) {
+  event.scope = scope.scopeName;
+  for (var currentScope = scope; currentScope; currentScope = currentScope.parentScope) {
+    (currentScope._resolveListeners || []).slice().forEach(function notify(listener) {
+      // Listeners only observe, so their errors must not change what is being resolved or called.
+      try {
+        listener(event);
+      }
+      catch(err) {
+        process.emitWarning(
+          util.format('A resolve listener failed on the %s event for %s: %s',
+            event.type, event.service, err && err.message),
+          'ResolveListenerWarning');
+      }
+    });
+  }
+  if (isDebugLogEnabled()) debuglog('%s', formatTrace(event));
+}
+
+/**
+ * @description
+ * Formats a resolution event as a line for the debug logger.
+ * @param {object} event The event.
+ * @returns {string} The formatted event.
+ */
+function formatTrace(event) {
+  var line = util.format("%s %s", event.type, event.service);
+  if (event.method) line += '.' + event.method;
+  if (event.implementation) line += util.format(' (%s)', event.implementation);
+  line += util.format(" on '%s'", event.scope);
+  if (event.ownerScope && event.ownerScope !== event.scope) {
+    line += util.format(" from '%s'", event.ownerScope);
+  }
+  if (typeof event.duration === 'number') line += util.format(' in %sms', event.duration.toFixed(3));
+  if (event.error) line += util.format(' failed: %s', event.error.message);
+  return line;
+}
+
+/**
+ * @description
+ * Gets a readable name for the implementation of a service instance.
+ * @param {*} instance The service instance.
+ * @returns {string} The name of the implementation, or null if it has none.
+ */
+function describeInstance(instance) {
+  if (!instance) return null;
+  if (typeof instance === 'function') return instance.name || null;
+  return instance.constructor && instance.constructor !== Object ?
+    instance.constructor.name || null : null;
+}
+
+/**
+ * @description
+ * Calls a service method or a lifecycle step through callAsync, and traces
+ * the call, with its duration, once it completes.
+ * @param {object} scope The scope.
+ * @param {object} event The event to trace, without the duration.
+ * @param {Function} fn The function to call.
+ * @param {object} thisArg The object to call the function on.
+ * @param {Array} args The arguments to pass to the function.
+ * @param {Function} done The function to call with an error and a result.
+ */
+function callTraced(scope, event, fn, thisArg, args, done) {
+  if (!isTracing(scope)) {
+    callAsync(fn, thisArg, args, done);
+    return;
+  }
+  var start = now();
+  callAsync(fn, thisArg, args, function traceCall(err, result) {
+    event.duration = now() - start;
+    if (err) event.error = err;
+    trace(scope, event);
+    done(err, result);
+  });
+}
+
+/**
+ * @description
+ * Gets the interceptors for a method of a service, from the root scope down to
+ * the scope, in the order they were added on each scope.
+ * @param {object} scope The scope.
+ * @param {string} service The service name.
+ * @param {string} method The method name.
+ * @returns {Array} The interceptors.
+ */
+function getInterceptors(scope, service, method) {
+  var interceptors = [];
+  for (var currentScope = scope; currentScope; currentScope = currentScope.parentScope) {
+    var scopeInterceptors = (currentScope._interceptors || [])
+      .filter(function isForMethod(registration) {
+        return (registration.service === '*' || registration.service === service)
+          && (registration.method === '*' || registration.method === method);
+      })
+      .map(function getInterceptor(registration) {return registration.interceptor;});
+    interceptors = scopeInterceptors.concat(interceptors);
+  }
+  return interceptors;
+}
+
+/**
+ * @description
+ * Runs an interceptor around the rest of the chain of interceptors of a call:
+ * its before function, then its around function, that proceeds with the rest of
+ * the chain, and its after function, once the rest of the chain has succeeded.
+ * Each of those functions can take a callback as its last parameter, or return
+ * a promise.
+ * @param {object} interceptor The interceptor.
+ * @param {object} invocation The invocation object that is passed to the interceptor.
+ * @param {Function} proceedWithChain The function(done) that runs the rest of the chain.
+ * @param {Function} done The function to call with an error and the result.
+ */
+function runInterceptor(interceptor, invocation, proceedWithChain, done) {
+  function runAfter(err, result) {
+    if (err) {
+      done(err);
+      return;
+    }
+    invocation.result = result;
+    if (!interceptor.after) {
+      done(null, result);
+      return;
+    }
+    callAsync(interceptor.after, interceptor, [invocation], function afterDone(err) {
+      if (err) done(err);
+      else done(null, invocation.result);
+    });
+  }
+  function runAround() {
+    if (!interceptor.around) {
+      proceedWithChain(runAfter);
+      return;
+    }
+    function proceed(proceedDone) {
+      var deferred = proceedDone ? null : createDeferred();
+      proceedWithChain(deferred ? deferred.callback : proceedDone);
+      return deferred ? deferred.promise : undefined;
+    }
+    callAsync(interceptor.around, interceptor, [invocation, proceed], runAfter);
+  }
+  if (!interceptor.before) {
+    runAround();
+    return;
+  }
+  callAsync(interceptor.before, interceptor, [invocation], function beforeDone(err) {
+    if (err) done(err);
+    else runAround();
+  });
+}
+
+/**
+ * @description
+ * Calls a service method through the interceptors that the scope and its
+ * parents have for it, and traces the call.
+ * Interceptors of parent scopes run outside of those of their sub-scopes, and
+ * on each scope, interceptors that were added first run outside of those that
+ * were added later.
+ * @param {object} scope The scope.
+ * @param {object} event The event to trace, with the service and method names.
+ * @param {object} instance The service instance.
+ * @param {Function} fn The method to call.
+ * @param {object} options The parameter to pass to the method.
+ * @param {Function} done The function to call with an error and a result.
+ */
+function callServiceMethod(scope, event, instance, fn, options, done) {
+  var interceptors = getInterceptors(scope, event.service, event.method);
+  if (interceptors.length === 0) {
+    callTraced(scope, event, fn, instance, [options], done);
+    return;
+  }
+  var invocation = {
+    scope: scope,
+    service: event.service,
+    method: event.method,
+    instance: instance,
+    options: options
+  };
+  (function runNthInterceptor(n, interceptorDone) {
+    if (n === interceptors.length) {
+      callTraced(scope, event, fn, instance, [invocation.options], interceptorDone);
+      return;
     }
+    runInterceptor(interceptors[n], invocation, function proceedWithChain(chainDone) {
+      runNthInterceptor(n + 1, chainDone);
+    }, interceptorDone);
+  })(0, done);
+}
+
+/**
+ * @description
+ * Constructs an instance of a service, and traces how long it took.
+ * @param {object} scope The scope.
+ * @param {string} service The service name.
+ * @param {Function} ServiceClass The class to instantiate.
+ * @param {object} [options] Options to pass into the service's constructor.
+ * @returns {object} The instance.
+ */
+function constructTraced(scope, service, ServiceClass, options) {
+  if (!isTracing(scope)) return construct(scope, ServiceClass, options);
+  var start = now();
+  var instance = construct(scope, ServiceClass, options);
+  trace(scope, {
+    type: 'construct',
+    service: service,
+    implementation: describeImplementation(service, ServiceClass, scope.services[service].indexOf(ServiceClass)),
+    duration: now() - start
+  });
+  return instance;
+}
+
+/**
+ * @description
+ * Makes a parent scope track a sub-scope, so that disposing of the parent
+ * disposes of the sub-scope, and that removing or replacing a service also
+ * invalidates the instances cached by the sub-scope.
+ * The parent only holds a weak reference to the sub-scope, so sub-scopes that
+ * are never disposed of, such as request scopes, can still be garbage collected.
+ * Where weak references aren't available, sub-scopes are not tracked, and must
+ * be disposed of, and have their services removed or replaced, on their own.
+ * @param {object} parentScope The parent scope.
+ * @param {object} subScope The sub-scope.
+ */
+function trackSubScope(parentScope, subScope) {
+  if (!WeakReference || !parentScope || !parentScope._subScopes) return;
+  var subScopes = parentScope._subScopes;
+  subScopes.push(new WeakReference(subScope));
+  // Forget the sub-scopes that were collected, once in a while.
+  if (subScopes.length > parentScope._subScopesPruneLength) {
+    parentScope._subScopes = subScopes.filter(function isAlive(reference) {
+      return !!reference.deref();
+    });
+    parentScope._subScopesPruneLength = Math.max(16, parentScope._subScopes.length * 2);
+  }
+}
+
+/**
+ * @description
+ * Gets the sub-scopes of a scope that are still alive.
+ * @param {object} scope The scope.
+ * @returns {Array} The sub-scopes.
+ */
+function getSubScopes(scope) {
+  var subScopes = [];
+  (scope._subScopes || []).forEach(function addIfAlive(reference) {
+    var subScope = reference.deref();
+    if (subScope) subScopes.push(subScope);
+  });
+  return subScopes;
+}
+
+/**
+ * @description
+ * Makes a parent scope stop tracking a sub-scope.
+ * @param {object} parentScope The parent scope.
+ * @param {object} subScope The sub-scope.
+ */
+function untrackSubScope(parentScope, subScope) {
+  if (!parentScope || !parentScope._subScopes) return;
+  parentScope._subScopes = parentScope._subScopes.filter(function isOther(reference) {
+    var other = reference.deref();
+    return !!other && other !== subScope;
+  });
+}
+
+/**
+ * @description
+ * Gets the decorators for a service, from the root scope down to the scope,
+ * in the order they were added on each scope.
+ * @param {object} scope The scope.
+ * @param {string} service The service name.
+ * @returns {Array} The decorators.
+ */
+function getDecorators(scope, service) {
+  var decorators = [];
+  for (var currentScope = scope; currentScope; currentScope = currentScope.parentScope) {
+    var scopeDecorators = currentScope._decorators && currentScope._decorators[service];
+    if (scopeDecorators) decorators = scopeDecorators.concat(decorators);
+  }
+  return decorators;
+}
+
+/**
+ * @description
+ * Finds if an instance was built by the scope, rather than being a static
+ * service or a registered value, that are shared by all the scopes.
+ * @param {Function|object} ServiceClass The implementation.
+ * @param {object} instance The instance that was returned for it.
+ * @returns {boolean} True if the instance was built by the scope.
+ */
+function isBuiltInstance(ServiceClass, instance) {
+  return !!instance && instance !== ServiceClass
+    && !(ServiceClass instanceof Registration && ServiceClass.type === 'value');
+}
+
+/**
+ * @description
+ * Applies the decorators for a service to a new instance. Each decorator
+ * gets the result of the previous one, and can return a replacement for it,
+ * or undefined to keep it.
+ * Static services and registered values are shared by all the scopes that
+ * return them, so they are not decorated, as they would be again and again.
+ * @param {object} scope The scope that built the instance.
+ * @param {string} service The service name.
+ * @param {Function|object} ServiceClass The implementation.
+ * @param {object} instance The instance.
+ * @param {object} [options] The options the instance was built with.
+ * @returns {object} The decorated instance.
+ */
+function decorateInstance(scope, service, ServiceClass, instance, options) {
+  if (!isBuiltInstance(ServiceClass, instance)) return instance;
+  return getDecorators(scope, service).reduce(function applyDecorator(decorated, decorator) {
+    var result = decorator(decorated, scope, options);
+    return typeof result === 'undefined' ? decorated : result;
+  }, instance);
+}
+
+/**
+ * @description
+ * Constructs a singleton instance, and keeps track of it on the scope that
+ * owns it, so it can be disposed of when that scope is.
+ * Static services and registered values are not tracked, as they are not owned
+ * by the scope.
+ * The options configured for the service on the scope that owns the instance
+ * are combined with the options passed by the caller, and the decorators of
+ * that scope are applied to the instance before it gets cached. The instance
+ * that gets disposed of is the one that was constructed, not the decorated one.
+ * @param {object} scope The scope that owns the instance.
+ * @param {string} service The service name.
+ * @param {Function} ServiceClass The class to instantiate.
+ * @param {object} [options] Options to pass into the service's constructor.
+ * @returns {object} The singleton instance.
+ */
+function constructSingleton(scope, service, ServiceClass, options) {
+  var configuredOptions = withConfiguredOptions(scope, service, options);
+  var instance = constructTraced(scope, service, ServiceClass, configuredOptions);
+  var isOwned = isBuiltInstance(ServiceClass, instance);
+  if (isOwned) {
+    scope._constructedInstances.push(instance);
+  }
+  instance = decorateInstance(scope, service, ServiceClass, instance, configuredOptions);
+  if (isOwned && (typeof instance === 'object' || typeof instance === 'function')) {
+    singletonOptions.set(instance, {options: options, warned: false});
+  }
+  return instance;
+}
+
+/**
+ * @description
+ * Gets the instance for a singleton service.
+ * This should not be called, except by scope methods.
+ * @param {object} scope The scoped object.
+ * @param {string} service The service name.
+ * @param {number} index The index at which the service is to be cached.
+ * @param {object} [options] The options to pass into the service constructor.
+ * @returns {object} The singleton instance.
+ */
+function getSingleton(scope, service, index, options) {
+  var serviceClasses = scope.services[service];
+  // Get or build the instance cache
+  var instances = scope.instances[service];
+  if (!instances) {
+    instances = scope.instances[service] = new Array(serviceClasses.length);
+  }
+  var serviceClass = serviceClasses[index];
+  var tracing = isTracing(scope);
+  function traceCache(type, ownerScope) {
+    if (!tracing) return;
+    trace(scope, {
+      type: type,
+      service: service,
+      implementation: describeImplementation(service, serviceClass, index),
+      ownerScope: ownerScope.scopeName
+    });
+  }
+  // Try to get the instance from the cache
+  var instance = instances[index];
+  if (instance) {
+    if (tracing) {
+      // The instance may have been cached from the parent scope that owns it.
+      var ownerScope = scope;
+      while (serviceClass.scope && ownerScope.parentScope
+        && ownerScope.scopeName !== serviceClass.scope) {
+        ownerScope = ownerScope.parentScope;
+      }
+      traceCache('cache-hit', ownerScope.scopeName === serviceClass.scope ? ownerScope : scope);
+    }
+    checkSingletonOptions(scope, service, instance, options);
+    return instance;
+  }
+  // if scope is not current, walk parent scopes to find the current one
+  var currentScope = scope;
+  if (serviceClass.scope) {
+    while (currentScope && (currentScope.scopeName !== serviceClass.scope)) {
+      currentScope = currentScope.parentScope;
+    }
+    // Note: currentScope might be null at this point, which will make the object
+    // scope-less. Not necessarily a problem, but probably not very useful.
+    if (currentScope && scope != currentScope) {
+      var currentScopeServiceClasses = currentScope.services[service];
+      var currentScopeIndex = currentScopeServiceClasses.indexOf(serviceClass);
+      if (currentScopeIndex !== -1) {
+        var currentScopeInstances = currentScope.instances[service];
+        if (!currentScopeInstances) {
+          currentScopeInstances = currentScope.instances[service] =
+            new Array(currentScopeServiceClasses.length);
+        }
+        instance = currentScopeInstances[currentScopeIndex];
+        if (instance) {
+          traceCache('cache-hit', currentScope);
+          checkSingletonOptions(scope, service, instance, options);
+          return instances[index] = instance;
+        }
+        traceCache('cache-miss', currentScope);
+        return currentScopeInstances[currentScopeIndex]
+          = instances[index]
+          = constructSingleton(currentScope, service, serviceClass, options);
+      }
+    }
+    // At this point, if the scope is not currentScope, it's an error case:
+    // the service's scope is incompatible with the scope chain or the available
+    // services on the scopes.
+    if (scope.scopeName !== serviceClass.scope) {
+      throw new Error(
+        util.format(
+          "Couldn't find an instance of %s on scope %s.",
+          service, serviceClass.scope));
+    }
+  }
+  traceCache('cache-miss', scope);
+  return instances[index] = constructSingleton(scope, service, serviceClass, options);
+}
+
+/**
+ * @description
+ * Resolves the instance for the implementation of a service at the
+ * specified index, while keeping track of the resolution path in order
+ * to detect circular dependencies.
+ * If the implementation is an alias, the aliased service is resolved instead.
+ * This should not be called, except by scope methods.
+ * @param {object} scope The scope.
+ * @param {string} service The service name.
+ * @param {number} index The index of the implementation in the scope's services.
+ * @param {object} [options] The options to pass into the service constructor.
+ * @param {boolean} [all] True to get all the instances of an aliased service, as an array.
+ * @param {object} [selection] The key and tag that the instances of an aliased service
+ * must have, if all is true.
+ * @returns {object|Array} The instance, or if all is true and the implementation is an
+ * alias, the array of instances of the aliased service.
+ */
+function resolve(scope, service, index, options, all, selection) {
+  var ServiceClass = scope.services[service][index];
+  for (var i = 0; i < resolutionPath.length; i++) {
+    var step = resolutionPath[i];
+    if (step.service === service && step.ServiceClass === ServiceClass) {
+      throwCircularDependency(
+        resolutionPath.slice(i).concat({service: service, scope: scope}));
+    }
+  }
+  resolutionPath.push({service: service, ServiceClass: ServiceClass, scope: scope});
+  var tracing = isTracing(scope);
+  var implementation = tracing ? describeImplementation(service, ServiceClass, index) : null;
+  var start = tracing ? now() : 0;
+  var error = null;
+  if (tracing) {
+    trace(scope, {type: 'resolve-start', service: service, implementation: implementation});
+  }
+  try {
+    if (ServiceClass instanceof Registration && ServiceClass.type === 'alias') {
+      return all ?
+        scope.getServices(ServiceClass.target, options, selection) :
+        scope.require(ServiceClass.target, options);
+    }
+    if (!ServiceClass.transient) {
+      return getSingleton(scope, service, index, options);
+    }
+    var configuredOptions = withConfiguredOptions(scope, service, options);
+    return decorateInstance(scope, service, ServiceClass,
+      constructTraced(scope, service, ServiceClass, configuredOptions), configuredOptions);
+  }
+  catch(err) {
+    error = err;
+    throw err;
+  }
+  finally {
+    resolutionPath.pop();
+    if (tracing) {
+      var endEvent = {
+        type: 'resolve-end',
+        service: service,
+        implementation: implementation,
+        duration: now() - start
+      };
+      if (error) endEvent.error = error;
+      trace(scope, endEvent);
+    }
+  }
+}
+
+/**
+ * @description
+ * Combines the options that were configured for a service on the scope
+ * and its parents with the options passed by the caller. Options configured
+ * on a scope take precedence over those configured on its parents, and the
+ * options passed by the caller take precedence over both.
+ * @param {object} scope The scope.
+ * @param {string} service The service name.
+ * @param {object} [options] The options passed by the caller.
+ * @returns {object} The combined options.
+ */
+function withConfiguredOptions(scope, service, options) {
+  var configured = [];
+  for (var currentScope = scope; currentScope; currentScope = currentScope.parentScope) {
+    var scopeOptions = currentScope._serviceOptions && currentScope._serviceOptions[service];
+    if (scopeOptions) configured.unshift(scopeOptions);
+  }
+  if (configured.length === 0) return options;
+  return configured.concat([options]).reduce(mergeOptions, {});
+}
+
+/**
+ * @description
+ * Finds if two sets of options passed by callers are the same, ignoring the
+ * key and tag that only select implementations.
+ * @param {object} [options1] The first set of options.
+ * @param {object} [options2] The second set of options.
+ * @returns {boolean} True if the options have the same properties, with the same values.
+ */
+function areSameOptions(options1, options2) {
+  function getNames(options) {
+    return options ? Object.getOwnPropertyNames(options).filter(function isOption(name) {
+      return name !== 'key' && name !== 'tag';
+    }) : [];
+  }
+  var names1 = getNames(options1);
+  var names2 = getNames(options2);
+  return names1.length === names2.length && names1.every(function isSame(name) {
+    return names2.indexOf(name) !== -1 && options1[name] === options2[name];
+  });
+}
+
+/**
+ * @description
+ * Checks that the options passed by a caller for a singleton that is already built
+ * are the same it was built with, as they would otherwise be silently ignored.
+ * If they are not, a warning is emitted the first time, or in strict mode, an error
+ * is thrown every time.
+ * @param {object} scope The scope the singleton is required from.
+ * @param {string} service The service name.
+ * @param {object} instance The singleton.
+ * @param {object} [options] The options passed by the caller.
+ */
+function checkSingletonOptions(scope, service, instance, options) {
+  var built = singletonOptions.get(instance);
+  if (!options || !built || areSameOptions(built.options, options)) return;
+  var message = util.format(
+    "Options mismatch: %s is a singleton that was already built with different options, " +
+    "so the options passed from scope '%s' are ignored. Configure its options with " +
+    "scope.configure instead, or make %s transient.",
+    service, scope.scopeName, service);
+  if (isStrict(scope)) throw new Error(message);
+  if (built.warned) return;
+  built.warned = true;
+  process.emitWarning(message, 'OptionsMismatchWarning');
+}
+
+/**
+ * @description
+ * Throws an error describing a circular dependency.
+ * @param {Array} cycle The resolution steps that form the cycle.
+ */
+function throwCircularDependency(cycle) {
+  var error = new Error(
+    util.format(
+      'Circular dependency detected: %s (on scopes %s).',
+      cycle.map(function stepToService(step) {return step.service;})
+        .join(' -> '),
+      cycle.map(function stepToScope(step) {return "'" + step.scope.scopeName + "'";})
+        .join(' -> ')));
+  error.resolutionPath = cycle.map(function stepToPath(step) {
+    return {service: step.service, scope: step.scope.scopeName};
+  });
+  throw error;
+}
+
+/**
+ * @description
+ * Gets the parsed dependencies of a service class, from its inject and
+ * injectProperties declarations.
+ * @param {Function|object} ServiceClass The service class.
+ * @returns {Array} The parsed dependencies, as returned by parseDependency.
+ */
+function getDependencies(ServiceClass) {
+  var dependencies = ServiceClass.inject ? ServiceClass.inject.slice() : [];
+  if (ServiceClass.injectProperties) {
+    Object.getOwnPropertyNames(ServiceClass.injectProperties)
+      .forEach(function addPropertyDependency(propertyName) {
+        dependencies.push(ServiceClass.injectProperties[propertyName]);
+      });
+  }
+  return dependencies.map(parseDependency);
+}
+
+/**
+ * @description
+ * Gets the names of the services a service class depends on, from its
+ * inject and injectProperties declarations.
+ * @param {Function|object} ServiceClass The service class.
+ * @returns {Array} The names of the services the class depends on.
+ */
+function getDependencyNames(ServiceClass) {
+  return getDependencies(ServiceClass).map(function dependencyToName(dependency) {
+    return dependency.name;
+  });
+}
+
+/**
+ * @description
+ * Gets a readable name for an implementation of a service.
+ * @param {string} service The service name.
+ * @param {Function|object} ServiceClass The implementation.
+ * @param {number} index The index of the implementation.
+ * @returns {string} The name of the implementation.
+ */
+function describeImplementation(service, ServiceClass, index) {
+  return ServiceClass.name || util.format('%s[%s]', service, index);
+}
+
+/**
+ * @description
+ * Builds the graph of dependencies between the implementations of a service.
+ * An implementation depends on another if it injects a service that the other
+ * implementation is also registered under, or if it lists the other
+ * implementation, or a service name it's registered under, in its `after` array.
+ * Listing an implementation in the `before` array creates the reverse dependency.
+ * @param {object} scope The scope.
+ * @param {string} service The service name.
+ * @param {object} [referencedLists] An object that gets the lists of implementations
+ * of the other services that were looked at, by service name.
+ * @returns {Array} An array that has, for each implementation index, the array of
+ * indices of the implementations it depends on, or null if no implementation
+ * declares any dependency.
+ */
+function getImplementationDependencies(scope, service, referencedLists) {
+  var serviceClasses = scope.services[service];
+  var hasDeclarations = serviceClasses.some(function declaresDependencies(ServiceClass) {
+    return ServiceClass.inject || ServiceClass.injectProperties
+      || ServiceClass.before || ServiceClass.after;
+  });
+  if (!hasDeclarations) return null;
+  function referencesImplementation(reference, index) {
+    var ServiceClass = serviceClasses[index];
+    if (reference === ServiceClass) return true;
+    if (typeof reference !== 'string' || reference === service) return false;
+    var referencedClasses = scope.services[reference];
+    if (referencedLists) referencedLists[reference] = referencedClasses;
+    return !!referencedClasses && referencedClasses.indexOf(ServiceClass) !== -1;
+  }
+  var dependencies = serviceClasses.map(function () {return [];});
+  function addDependency(from, references) {
+    references.forEach(function addReferencedDependencies(reference) {
+      for (var to = 0; to < serviceClasses.length; to++) {
+        if (to !== from && referencesImplementation(reference, to)
+          && dependencies[from].indexOf(to) === -1) {
+          dependencies[from].push(to);
+        }
+      }
+    });
+  }
+  serviceClasses.forEach(function findDependencies(ServiceClass, index) {
+    addDependency(index,
+      getDependencyNames(ServiceClass).concat(ServiceClass.after || []));
+    (ServiceClass.before || []).forEach(function addReverseDependency(reference) {
+      for (var other = 0; other < serviceClasses.length; other++) {
+        if (other !== index && referencesImplementation(reference, other)
+          && dependencies[other].indexOf(index) === -1) {
+          dependencies[other].push(index);
+        }
+      }
+    });
+  });
+  return dependencies;
+}
+
+/**
+ * @description
+ * Sorts the implementations of a service in order of dependency: if
+ * implementation A depends on implementation B, B is guaranteed to appear
+ * earlier in the list. Implementations that don't depend on each other
+ * remain in registration order.
+ * Throws if the implementations depend on each other in a cycle.
+ * @param {object} scope The scope.
+ * @param {string} service The service name.
+ * @param {Array} [dependencies] The dependency graph for the implementations, as
+ * returned by getImplementationDependencies.
+ * @returns {Array} The sorted indices of the implementations.
+ */
+function sortImplementations(scope, service, dependencies) {
+  var serviceClasses = scope.services[service];
+  var count = serviceClasses.length;
+  var order = [];
+  if (!dependencies) {
+    for (var index = 0; index < count; index++) order.push(index);
+    return order;
+  }
+  var sorted = new Array(count);
+  function isSorted(index) {return sorted[index];}
+  while (order.length < count) {
+    var next = -1;
+    for (var candidate = 0; candidate < count; candidate++) {
+      if (!sorted[candidate] && dependencies[candidate].every(isSorted)) {
+        next = candidate;
+        break;
+      }
+    }
+    if (next === -1) {
+      throwCircularOrdering(scope, service, dependencies, sorted);
+    }
+    sorted[next] = true;
+    order.push(next);
+  }
+  return order;
+}
+
+/**
+ * @description
+ * Throws an error describing a cycle in the dependencies between the
+ * implementations of a service.
+ * @param {object} scope The scope.
+ * @param {string} service The service name.
+ * @param {Array} dependencies The dependency graph for the implementations.
+ * @param {Array} sorted Flags for the implementations that could be sorted.
+ */
+function throwCircularOrdering(scope, service, dependencies, sorted) {
+  var serviceClasses = scope.services[service];
+  // Any implementation that couldn't be sorted leads to a cycle: walk it.
+  var current = 0;
+  while (sorted[current]) current++;
+  var path = [];
+  while (path.indexOf(current) === -1) {
+    path.push(current);
+    current = dependencies[current].filter(function isUnsorted(index) {
+      return !sorted[index];
+    })[0];
+  }
+  var cycle = path.slice(path.indexOf(current)).concat(current);
+  throw new Error(
+    util.format(
+      'Implementations of %s on scope %s depend on each other in a cycle: %s.',
+      service, "'" + scope.scopeName + "'",
+      cycle.map(function indexToName(index) {
+        return describeImplementation(service, serviceClasses[index], index);
+      }).join(' -> ')));
+}
+
+/**
+ * @description
+ * Throws if the scope has been disposed of.
+ * @param {object} scope The scope.
+ * @param {string} service The name of the service being resolved.
+ */
+function throwIfDisposed(scope, service) {
+  if (scope._scopeDisposed) {
+    throw new Error(
+      util.format(
+        "Can't resolve %s: scope %s has been disposed of.",
+        service, scope.scopeName));
+  }
+}
+
+/**
+ * @description
+ * Disposes of a service instance by calling its dispose method, or
+ * if it doesn't have one, its destroy method.
+ * If that method takes a parameter, it is considered asynchronous, and
+ * is passed a callback. Otherwise, it is called synchronously.
+ * @param {object} instance The instance to dispose of.
+ * @param {Function} done The function to call when the instance has been disposed of.
+ */
+function disposeInstance(instance, done) {
+  var disposeMethod = typeof instance.dispose === 'function' ? instance.dispose
+    : typeof instance.destroy === 'function' ? instance.destroy : null;
+  if (!disposeMethod) {
+    done();
+    return;
+  }
+  callAsync(disposeMethod, instance, [], done);
+}
+
+/**
+ * @description
+ * Runs asynchronous steps serially, without stopping on errors.
+ * @param {Array} steps The functions(next) to run.
+ * @param {Function} done The function to call when all steps have run, with the first error if any.
+ */
+function runToCompletion(steps, done) {
+  var firstError = null;
+  function executeNthStep(n) {
+    function nextStep(err) {
+      if (err && !firstError) firstError = err;
+      if (n + 1 < steps.length) {
+        process.nextTick(function callNextStep() {executeNthStep(n + 1);});
+      }
+      else {
+        done(firstError);
+      }
+    }
+    steps[n](nextStep);
+  }
+  if (steps.length > 0) {
+    executeNthStep(0);
+  }
+  else {
+    process.nextTick(function noSteps() {done(null);});
+  }
+}
+
+/**
+ * @description
+ * Calls a function that can be either callback-based, or promise-based.
+ * The function is always passed a callback after the arguments, and it
+ * completes on whichever comes first: a call to that callback, or the
+ * settling of the promise it returns.
+ * A function that declares exactly as many parameters as there are arguments,
+ * and that doesn't return a promise, is considered synchronous, and done is
+ * called immediately with its return value. So is a function that declares no
+ * parameter but is passed arguments, if it returns a value. If it returns
+ * undefined, it may be a generic wrapper that forwards `arguments`, including
+ * the callback, so the callback is waited on.
+ * @param {Function} fn The function to call.
+ * @param {object} thisArg The object to use as `this` when calling the function.
+ * @param {Array} args The arguments to pass into the function.
+ * @param {Function} done The function to call when the function has completed.
+ * It is passed an error if there was one, and the result of the function: the value
+ * passed to the callback, the value the promise resolved with, or the return value.
+ */
+function callAsync(fn, thisArg, args, done) {
+  var completed = false;
+  function complete(err, result) {
+    if (completed) return;
+    completed = true;
+    done(err, result);
+  }
+  var result;
+  try {
+    result = fn.apply(thisArg, args.concat(function (err, result) {complete(err, result);}));
+  }
+  catch(err) {
+    // Errors thrown by done, once the callback was called, are not the function's.
+    if (completed) throw err;
+    complete(err);
+    return;
+  }
+  if (completed) return;
+  if (result && typeof result.then === 'function') {
+    // Get out of the promise chain, so errors thrown by done aren't swallowed.
+    result.then(
+      function resolved(value) {
+        process.nextTick(function () {complete(null, value);});
+      },
+      function rejected(err) {
+        process.nextTick(function () {
+          complete(err || new Error(util.format('%s was rejected.', fn.name || 'A promise')));
+        });
+      });
+    return;
+  }
+  var takesCallback = fn.length > args.length
+    || (fn.length === 0 && args.length > 0 && typeof result === 'undefined');
+  if (!takesCallback) complete(null, result);
+}
+
+/**
+ * @description
+ * Creates a promise, and a Node-style callback that settles it.
+ * @returns {object} An object with promise and callback properties.
+ */
+function createDeferred() {
+  var deferred = {};
+  deferred.promise = new Promise(function (resolve, reject) {
+    deferred.callback = function (err, result) {
+      if (err) reject(err);
+      else resolve(result);
+    };
+  });
+  return deferred;
+}
+
+/**
+ * @description
+ * Initializes a service by calling its init method, and wiring up
+ * its static events.
+ * @param {object} scope The scope.
+ * @param {Function} ServiceClass The service class to initialize.
+ */
+function initializeService(scope, ServiceClass) {
+  if (!ServiceClass) return;
+  if (ServiceClass.init) {
+    ServiceClass.init(scope);
+  }
+  // Wire up declared static event handlers
+  if (ServiceClass.on) {
+    Object.keys(ServiceClass.on).forEach(function forEachEvent(eventName) {
+      var handleEvent = function handleEvent(payload) {
+        ServiceClass.on[eventName](scope, payload);
+      };
+      // Remember the service, so bubbling events don't call its handler again on parent scopes.
+      handleEvent.ServiceClass = ServiceClass;
+      scope.on(eventName, handleEvent);
+      // Keep track of the handler, so it can be removed when the scope is disposed of.
+      scope._serviceEventHandlers.push({
+        ServiceClass: ServiceClass,
+        eventName: eventName,
+        handler: handleEvent
+      });
+    });
+  }
+}
+
+/**
+ * @description
+ * Removes the event handlers that services have wired up on the scope.
+ * @param {object} scope The scope.
+ * @param {Function} [ServiceClass] The service class whose handlers must be removed. All service handlers are removed if omitted.
+ */
+function removeServiceEventHandlers(scope, ServiceClass) {
+  var removeHandler = scope.off || scope.removeListener;
+  scope._serviceEventHandlers = scope._serviceEventHandlers
+    .filter(function removeServiceEventHandler(registration) {
+      if (ServiceClass && registration.ServiceClass !== ServiceClass) return true;
+      if (removeHandler) {
+        removeHandler.call(scope, registration.eventName, registration.handler);
+      }
+      return false;
+    });
+}
+
+/**
+ * @description
+ * Initialize services for this scope. This is called automatically if the scope was built
+ * with a set of services. Otherwise, it must be called manually.
+ * Services that aren't enabled on the scope are not initialized.
+ * @returns {object} The scope.
+ */
+function scope$initialize() {
+  if (this.services) {
+    // Initialize all services except those that are scoped to some other scope
+    for (var serviceName in this.services) {
+      var serviceClasses = this.services[serviceName];
+      if (!serviceClasses) continue;
+      for (var i = 0; i < serviceClasses.length; i++) {
+        var ServiceClass = serviceClasses[i];
+        if ((!ServiceClass.scope || ServiceClass.scope === this.scopeName)
+          && isEnabled(this, ServiceClass)) {
+          initializeService(this, ServiceClass);
+        }
+      }
+    }
+    this._scopeInitialized = true;
+  }
+  return this;
+}
+
+/**
+ * @description
+ * Registers a service into the scope's registry, making it available for require and
+ * getServices. This will initialize the service if the scope is already initialized.
+ * The registration is only visible from this scope, and from the sub-scopes that are
+ * created after it.
+ * @param {string} name The service name implemented by ServiceClass.
+ * @param {Function} ServiceClass The service constructor, or the static service object to register.
+ * @param {object} [options] Default options to configure for the service, as with configure.
+ * @returns {object} The scope.
+ */
+function scope$register(name, ServiceClass, options) {
+  if (options) this.configure(name, options);
+  // Lists of services are shared with sub-scopes and with the services map
+  // the scope was built from, so they are copied instead of being modified.
+  var services = this.services[name];
+  this.services[name] = services ? services.concat([ServiceClass]) : [ServiceClass];
+  clearImplementationOrderings(this);
+  if (this._scopeInitialized) {
+    // Scope has already initialized its services, so any new one that gets added
+    // must also be initialized.
+    if ((!ServiceClass.hasOwnProperty('scope')
+      || ServiceClass.scope === this.scopeName)
+      && isEnabled(this, ServiceClass)) {
+      initializeService(this, ServiceClass);
+    }
+  }
+  return this;
+}
+
+/**
+ * @description
+ * Registers a pre-built value as an implementation of a service.
+ * The value is returned as is by require and getServices: it is never
+ * constructed, initialized, injected into, or disposed of by the scope.
+ * @param {string} name The service name implemented by the value.
+ * @param {*} value The value.
+ * @param {object} [metadata] An object with the key and tags of the value.
+ * @returns {object} The scope.
+ */
+function scope$registerValue(name, value, metadata) {
+  return this.register(name, new Registration('value', value, metadata));
+}
+
+/**
+ * @description
+ * Registers a factory function as an implementation of a service.
+ * The factory is called with the scope and the options to build instances
+ * of the service. Instances are cached as scope singletons, unless the factory
+ * has a transient property that is true. The factory can also declare
+ * scope, init, on, before, and after static properties, like service classes.
+ * @param {string} name The service name implemented by the factory.
+ * @param {Function} factory The function(scope, options) that builds instances.
+ * @param {object} [options] Default options to configure for the service, as with configure.
+ * @returns {object} The scope.
+ */
+function scope$registerFactory(name, factory, options) {
+  return this.register(name, new Registration('factory', factory), options);
+}
+
+/**
+ * @description
+ * Registers another service name as an implementation of a service, so that
+ * the implementations of the other service are also returned for this one.
+ * require returns the result of requiring the other service, and getServices
+ * includes all the instances of the other service.
+ * @param {string} name The service name.
+ * @param {string} otherName The name of the service to re-export under name.
+ * @returns {object} The scope.
+ */
+function scope$registerAlias(name, otherName) {
+  return this.register(name, new Registration('alias', otherName));
+}
+
+/**
+ * @description
+ * Finds the index of an implementation in a list of services. Values, factories,
+ * and aliases can be found from the value, factory, or aliased service name
+ * they were registered with.
+ * @param {Array} services The list of service implementations.
+ * @param {*} ServiceClass The implementation to find.
+ * @returns {number} The index of the implementation, or -1 if it wasn't found.
+ */
+function indexOfImplementation(services, ServiceClass) {
+  for (var i = 0; i < services.length; i++) {
+    var implementation = services[i];
+    if (implementation === ServiceClass
+      || (implementation instanceof Registration
+      && implementation.target === ServiceClass)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * @description
+ * Removes an implementation of a service from a scope and its sub-scopes,
+ * or replaces it with another one, invalidating the cached instances, and
+ * disposing of those that the scopes constructed.
+ * This should not be called, except by scope methods.
+ * @param {object} scope The scope.
+ * @param {string} name The service name.
+ * @param {*} ServiceClass The implementation to remove.
+ * @param {*} [NewServiceClass] The implementation that replaces it, if any.
+ * @param {Function} done The function to call when the removed instances have been disposed of.
+ */
+function removeImplementation(scope, name, ServiceClass, NewServiceClass, done) {
+  // Find the implementation in all scopes first, as their lists may be shared,
+  // and will be replaced with modified copies.
+  var affected = [];
+  (function findInScope(currentScope) {
+    var services = currentScope.services[name];
+    var index = services ? indexOfImplementation(services, ServiceClass) : -1;
+    if (index !== -1) {
+      affected.push({scope: currentScope, services: services, index: index});
+    }
+    getSubScopes(currentScope).forEach(findInScope);
+  })(scope);
+  var removedInstances = [];
+  affected.forEach(function removeFromScope(entry) {
+    var currentScope = entry.scope;
+    var RemovedClass = entry.services[entry.index];
+    removeServiceEventHandlers(currentScope, RemovedClass);
+    var instances = currentScope.instances[name];
+    if (instances && entry.index < instances.length) {
+      var instance = instances[entry.index];
+      if (NewServiceClass) {
+        instances[entry.index] = undefined;
+      }
+      else {
+        instances.splice(entry.index, 1);
+      }
+      // Only dispose of the instances that this scope owns.
+      var ownedIndex = instance ? currentScope._constructedInstances.indexOf(instance) : -1;
+      if (ownedIndex !== -1) {
+        currentScope._constructedInstances.splice(ownedIndex, 1);
+        removedInstances.push(instance);
+      }
+    }
+    var services = entry.services.slice();
+    if (NewServiceClass) {
+      services.splice(entry.index, 1, NewServiceClass);
+    }
+    else {
+      services.splice(entry.index, 1);
+    }
+    currentScope.services[name] = services;
+    clearImplementationOrderings(currentScope);
+    if (NewServiceClass && currentScope._scopeInitialized
+      && (!NewServiceClass.hasOwnProperty('scope')
+      || NewServiceClass.scope === currentScope.scopeName)
+      && isEnabled(currentScope, NewServiceClass)) {
+      initializeService(currentScope, NewServiceClass);
+    }
+  });
+  runToCompletion(
+    removedInstances.map(function instanceToStep(instance) {
+      return function disposeRemovedInstance(next) {
+        disposeInstance(instance, next);
+      };
+    }),
+    done);
+}
+
+/**
+ * @description
+ * Removes an implementation of a service from the scope, and from the
+ * sub-scopes that share it. The instances of the implementation that are
+ * cached by the scopes are removed, and those that the scopes constructed
+ * are disposed of.
+ * @param {string} name The service name.
+ * @param {*} ServiceClass The implementation to remove: a service class, a static object,
+ * or the value, factory, or aliased service name that was registered.
+ * @param {Function} [done] The function to call when the removed instances have been disposed of.
+ * @returns {object} The scope.
+ */
+function scope$unregister(name, ServiceClass, done) {
+  removeImplementation(this, name, ServiceClass, null, done || function() {});
+  return this;
+}
+
+/**
+ * @description
+ * Replaces an implementation of a service with another, on the scope, and
+ * on the sub-scopes that share it. The new implementation takes the place
+ * of the old one in the list of implementations. The instances of the old
+ * implementation that are cached by the scopes are removed, and those that
+ * the scopes constructed are disposed of. The new implementation is
+ * initialized on the scopes that are already initialized.
+ * @param {string} name The service name.
+ * @param {*} OldServiceClass The implementation to replace.
+ * @param {*} NewServiceClass The implementation to use instead.
+ * @param {Function} [done] The function to call when the removed instances have been disposed of.
+ * @returns {object} The scope.
+ */
+function scope$replace(name, OldServiceClass, NewServiceClass, done) {
+  removeImplementation(this, name, OldServiceClass, NewServiceClass, done || function() {});
+  return this;
+}
+
+/**
+ * @description
+ * Returns an instance of a service implementing the named contract passed as a parameter.
+ * If more than one service exists for that contract, the instance that
+ * has the most dependencies on other services for that contract is returned. Do not
+ * count on any particular service being returned if that is the case among the ones
+ * that have the most dependencies. If none of the services depend on each other,
+ * the last registered one is returned.
+ * A new instance is returned every time the function is called, unless the service
+ * is static, or if it is a scope singleton.
+ * If a selection with a key or a tag property is passed, only the implementations
+ * that have that key, or that tag among their tags, are considered.
+ *
+ * @param {String} service  The name of the contract for which a service instance is required.
+ * @param {object} [options] Options to pass into the service's constructor.
+ * @param {object} [selection] An object whose key and tag properties, if any,
+ * restrict the implementations that can be returned.
+ * @returns {object} An instance of the service, or null if it wasn't found.
+ */
+function scope$require(service, options, selection) {
+  throwIfDisposed(this, service);
+  var index = selectImplementation(this, service, selection);
+  if (index === -1) return null;
+  return resolve(this, service, index, options);
+}
+
+/**
+ * @description
+ * Selects the implementation of a service that require returns: the one
+ * that depends, directly or not, on the most other implementations of
+ * the service, or the last registered one if they don't depend on each other.
+ * This should not be called, except by scope methods.
+ * @param {object} scope The scope.
+ * @param {string} service The service name.
+ * @param {object} [selection] An object whose key and tag properties, if any,
+ * restrict the implementations that can be selected.
+ * @returns {number} The index of the implementation, or -1 if there is none.
+ */
+function selectImplementation(scope, service, selection) {
+  var services = scope.services[service];
+  if (!services) return -1;
+  function isSelected(index) {
+    return isEnabled(scope, services[index]) && matchesSelection(services[index], selection);
+  }
+  var ordering = getImplementationOrdering(scope, service);
+  // Without a selection or enabledWhen predicates, what is selected only
+  // changes with the features, so it can be reused while those are the same.
+  var isCacheable = !selection && !ordering.hasPredicates;
+  var features = isCacheable ? getInheritedSetting(scope, 'features') || [] : null;
+  if (isCacheable && ordering.selectedFeatures
+    && haveSameItems(ordering.selectedFeatures, features)) {
+    return ordering.selectedIndex;
+  }
+  var selectedIndex = -1;
+  if (!ordering.dependencies) {
+    for (var index = services.length - 1; index >= 0; index--) {
+      if (isSelected(index)) {
+        selectedIndex = index;
+        break;
+      }
+    }
+  }
+  else {
+    var dependencyCounts = ordering.dependencyCounts;
+    selectedIndex = ordering.order.filter(isSelected).reduce(function mostDependent(best, index) {
+      return best === -1 || dependencyCounts[index] >= dependencyCounts[best] ? index : best;
+    }, -1);
+  }
+  if (isCacheable) {
+    ordering.selectedFeatures = features.slice();
+    ordering.selectedIndex = selectedIndex;
+  }
+  return selectedIndex;
+}
+
+/**
+ * @description
+ * Finds if two arrays have the same items, in the same order.
+ * @param {Array} first The first array.
+ * @param {Array} second The second array.
+ * @returns {boolean} True if the arrays have the same items.
+ */
+function haveSameItems(first, second) {
+  if (first.length !== second.length) return false;
+  for (var i = 0; i < first.length; i++) {
+    if (first[i] !== second[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * @description
+ * Gets the dependencies between the implementations of a service, their order
+ * of dependency, and the number of other implementations each depends on,
+ * directly or not.
+ * This is cached per scope and service, until services are registered,
+ * unregistered, or replaced on the scope, as it doesn't depend on what is
+ * enabled, but is needed by every require and getServices call. Sub-scopes
+ * reuse the ordering of their parents while they share the same lists of
+ * implementations.
+ * This should not be called, except by scope methods.
+ * @param {object} scope The scope.
+ * @param {string} service The service name.
+ * @returns {object} An object with dependencies (null if no implementation
+ * declares any), order, and dependencyCounts properties, as well as the
+ * last selected index, for selectImplementation.
+ */
+function getImplementationOrdering(scope, service) {
+  var cache = scope._implementationOrderings;
+  for (var currentScope = scope; currentScope; currentScope = currentScope.parentScope) {
+    var cached = currentScope._implementationOrderings ?
+      currentScope._implementationOrderings[service] : null;
+    if (cached && isOrderingFor(scope, service, cached)) {
+      if (cache) cache[service] = cached;
+      return cached;
+    }
+  }
+  var referencedLists = {};
+  var dependencies = getImplementationDependencies(scope, service, referencedLists);
+  var order = sortImplementations(scope, service, dependencies);
+  var dependencyCounts = order.map(function () {return 0;});
+  if (dependencies) {
+    var transitiveDependencies = [];
+    order.forEach(function countDependencies(index) {
+      var all = [];
+      dependencies[index].forEach(function addTransitiveDependencies(dependency) {
+        [dependency].concat(transitiveDependencies[dependency])
+          .forEach(function addDependency(transitive) {
+            if (all.indexOf(transitive) === -1) all.push(transitive);
+          });
+      });
+      transitiveDependencies[index] = all;
+      dependencyCounts[index] = all.length;
+    });
+  }
+  var ordering = {
+    services: scope.services[service],
+    referencedLists: referencedLists,
+    hasPredicates: scope.services[service].some(function hasPredicate(ServiceClass) {
+      return typeof ServiceClass.enabledWhen === 'function';
+    }),
+    dependencies: dependencies,
+    order: order,
+    dependencyCounts: dependencyCounts
+  };
+  if (cache) cache[service] = ordering;
+  return ordering;
+}
+
+/**
+ * @description
+ * Finds if an ordering of implementations applies to a service on a scope:
+ * the lists of implementations are never modified in place, so it does if
+ * it was built from the same lists as the scope has for the service, and for
+ * the other services its dependencies were looked up in.
+ * @param {object} scope The scope.
+ * @param {string} service The service name.
+ * @param {object} ordering The ordering, as built by getImplementationOrdering.
+ * @returns {boolean} True if the ordering applies.
+ */
+function isOrderingFor(scope, service, ordering) {
+  if (ordering.services !== scope.services[service]) return false;
+  return Object.keys(ordering.referencedLists).every(function isSameList(name) {
+    return ordering.referencedLists[name] === scope.services[name];
+  });
+}
+
+/**
+ * @description
+ * Forgets the orderings of implementations that were cached on a scope, as
+ * the dependencies between implementations of a service can also change when
+ * other services change.
+ * @param {object} scope The scope.
+ */
+function clearImplementationOrderings(scope) {
+  scope._implementationOrderings = {};
+}
+
+/**
+ * @description
+ * Returns a list of service instances that are implementing the named contract passed as a parameter.
+ * The services are returned in order of dependency: if service A has a dependency
+ * on service B, B is guaranteed to appear earlier in the list.
+ * New instances are returned every time the function is called.
+ * If a selection with a key or a tag property is passed, only the implementations
+ * that have that key, or that tag among their tags, are returned. Aliases are
+ * expanded with the same options and selection.
+ *
+ * @param {String} service The name of the contract for which service instances are required.
+ * @param {object} [options] Options to pass into the services' constructors.
+ * @param {object} [selection] An object whose key and tag properties, if any,
+ * restrict the implementations that are returned.
+ * @returns {Array} An array of instances of the service.
+ */
+function scope$getServices(service, options, selection) {
+  throwIfDisposed(this, service);
+  return getServiceInstances(this, service, options, selection);
+}
+
+/**
+ * @description
+ * Resolves the instances of a service, in order of dependency, as getServices
+ * returns them, and optionally records the registration position of the
+ * implementation each instance comes from.
+ * This should not be called, except by scope methods.
+ * @param {object} scope The scope.
+ * @param {string} service The service name.
+ * @param {object} [options] Options to pass into the services' constructors.
+ * @param {object} [selection] The key and tag that the implementations must have.
+ * @param {Array} [positions] An array that gets the index of the implementation
+ * in the scope's services for each instance.
+ * @returns {Array} An array of instances of the service.
+ */
+function getServiceInstances(scope, service, options, selection, positions) {
+  if (!(service in scope.services)) return [];
+  var instances = [];
+  getImplementationOrdering(scope, service).order.forEach(
+    function getServiceInstance(index) {
+      var ServiceClass = scope.services[service][index];
+      if (!isEnabled(scope, ServiceClass)) return;
+      var resolved;
+      if (ServiceClass instanceof Registration && ServiceClass.type === 'alias') {
+        resolved = resolve(scope, service, index, options, true, selection);
+      }
+      else if (matchesSelection(ServiceClass, selection)) {
+        resolved = [resolve(scope, service, index, options)];
+      }
+      else {
+        return;
+      }
+      Array.prototype.push.apply(instances, resolved);
+      if (positions) {
+        resolved.forEach(function addPosition() {positions.push(index);});
+      }
+    }
+  );
+  return instances;
+}
+
+/**
+ * @description
+ * Calls a method on each registered service of the specified name,
+ * asynchronously, in the order of dependency of the services.
+ * The method can either take a callback as its second parameter, or
+ * return a promise.
+ * @param {string} service The name of the service.
+ * @param {string} method The name of the method.
+ * @param {object} [options] The parameter to pass to the method.
+ * @param {Function} [done] The function to call when all service methods have returned.
+ * @returns {object|Promise} The scope, or if done wasn't provided, a promise.
+ */
+function scope$callService(service, method, options, done) {
+  var deferred = done ? null : createDeferred();
+  if (deferred) done = deferred.callback;
+  callServicesSerially(this, service, method, options, false,
+    function servicesCalled(err) {done(err);});
+  return deferred ? deferred.promise : this;
+}
+
+/**
+ * @description
+ * Calls a method on each registered service of the specified name,
+ * asynchronously and serially, and collects the results of each call into
+ * an array, in the same order as the services are returned by getServices.
+ * The method can either take a callback as its second parameter, and pass
+ * its result as the second argument of the callback, or return a promise
+ * for its result.
+ * @param {string} service The name of the service.
+ * @param {string} method The name of the method.
+ * @param {object} [options] The parameter to pass to the method.
+ * @param {Function} [done] The function to call when all service methods have returned, with an error and an array of results.
+ * @returns {object|Promise} The scope, or if done wasn't provided, a promise for the array of results.
+ */
+function scope$callServiceForResults(service, method, options, done) {
+  var deferred = done ? null : createDeferred();
+  if (deferred) done = deferred.callback;
+  callServicesSerially(this, service, method, options, false, done);
+  return deferred ? deferred.promise : this;
+}
+
+/**
+ * @description
+ * Calls a method on each registered service of the specified name,
+ * asynchronously and serially, until one of them returns a result that
+ * is not undefined. The remaining services are not called.
+ * The method can either take a callback as its second parameter, and pass
+ * its result as the second argument of the callback, or return a promise
+ * for its result.
+ * @param {string} service The name of the service.
+ * @param {string} method The name of the method.
+ * @param {object} [options] The parameter to pass to the method.
+ * @param {Function} [done] The function to call with an error, and the first result, or undefined if no service returned a result.
+ * @returns {object|Promise} The scope, or if done wasn't provided, a promise for the first result.
+ */
+function scope$callServiceForFirstResult(service, method, options, done) {
+  var deferred = done ? null : createDeferred();
+  if (deferred) done = deferred.callback;
+  callServicesSerially(this, service, method, options, true, done);
+  return deferred ? deferred.promise : this;
+}
+
+/**
+ * @description
+ * Calls a method on each registered service of the specified name,
+ * asynchronously and serially, stopping at the first error.
+ * This should not be called, except by scope methods.
+ * @param {object} scope The scope.
+ * @param {string} service The name of the service.
+ * @param {string} method The name of the method.
+ * @param {object} [options] The parameter to pass to the method.
+ * @param {boolean} firstResultOnly True to stop at the first result that is not undefined.
+ * @param {Function} done The function to call when all service methods have returned.
+ * It is passed an error, and the array of results, or the first result if firstResultOnly
+ * is true.
+ */
+function callServicesSerially(scope, service, method, options, firstResultOnly, done) {
+  var services;
+  try {
+    services = scope.getServices(service);
+  }
+  catch(err) {
+    done(err);
+    return;
+  }
+  var results = new Array(services.length);
+  function callNthService(n) {
+    function nextService(err, result) {
+      if (err) {
+        done(err);
+        return;
+      }
+      if (firstResultOnly && typeof result !== 'undefined') {
+        done(null, result);
+        return;
+      }
+      results[n] = result;
+      if (n + 1 < services.length) {
+        process.nextTick(function callNextService() {
+          callNthService(n + 1);
+        });
+      }
+      else {
+        done(null, firstResultOnly ? undefined : results);
+      }
+    }
+    var instance = services[n];
+    if (instance[method]) {
+      callServiceMethod(scope,
+        {type: 'call', service: service, method: method, implementation: describeInstance(instance)},
+        instance, instance[method], options, nextService);
+    }
+    else {
+      nextService();
+    }
+  }
+  if (services.length > 0) {
+    callNthService(0);
+  }
+  else {
+    done(null, firstResultOnly ? undefined : results);
+  }
+}
+
+/**
+ * @description
+ * Calls a method on each registered service of the specified name,
+ * asynchronously and in parallel, optionally limiting the number of
+ * calls that run at the same time.
+ * The method can either take a callback as its second parameter, or
+ * return a promise. The calls are started in the same order as the services
+ * are returned by getServices, but the results of each call are collected into
+ * an array in registration order.
+ * By default, the first error is handed to done immediately, and no new
+ * call is started. If settings.collectErrors is true, all calls are made,
+ * and the errors are collected into an aggregate error, that has an errors
+ * array property.
+ * @param {string} service The name of the service.
+ * @param {string} method The name of the method.
+ * @param {object} [options] The parameter to pass to the method.
+ * @param {object} [settings] The settings for the calls.
+ * @param {number} [settings.concurrency] The maximum number of calls that can run at the same time. Unlimited by default.
+ * @param {boolean} [settings.collectErrors] True to make all calls, and collect errors, instead of failing on the first one.
+ * @param {Function} [done] The function to call when all service methods have returned, with an error and an array of results.
+ * @returns {object|Promise} The scope, or if done wasn't provided, a promise for the array of results.
+ */
+function scope$callServiceInParallel(service, method, options, settings, done) {
+  if (typeof settings === 'function') {
+    done = settings;
+    settings = null;
+  }
+  settings = settings || {};
+  var self = this;
+  var deferred = done ? null : createDeferred();
+  if (deferred) done = deferred.callback;
+  var services;
+  var positions = [];
+  try {
+    throwIfDisposed(self, service);
+    services = getServiceInstances(self, service, null, null, positions);
+  }
+  catch(err) {
+    done(err);
+    return deferred ? deferred.promise : this;
+  }
+  // Calls start in order of dependency, but results are in registration order.
+  var resultIndexes = new Array(services.length);
+  services.map(function toRank(instance, n) {return n;})
+    .sort(function byPosition(n1, n2) {return positions[n1] - positions[n2] || n1 - n2;})
+    .forEach(function setResultIndex(n, resultIndex) {resultIndexes[n] = resultIndex;});
+  var concurrency = settings.concurrency > 0 ?
+    Math.min(settings.concurrency, services.length) : services.length;
+  var results = new Array(services.length);
+  var errors = [];
+  var started = 0;
+  var completed = 0;
+  var failed = false;
+  function finish() {
+    if (errors.length === 0) {
+      done(null, results);
+      return;
+    }
+    var aggregateError = new Error(
+      util.format(
+        '%s of %s implementations of %s failed to execute %s: %s',
+        errors.length, services.length, service, method,
+        errors.map(function errorToMessage(err) {return err.message;}).join('; ')));
+    aggregateError.errors = errors;
+    done(aggregateError, results);
+  }
+  function callNthService(n) {
+    function serviceDone(err, result) {
+      if (failed) return;
+      completed++;
+      if (err) {
+        if (!settings.collectErrors) {
+          failed = true;
+          done(err);
+          return;
+        }
+        errors.push(err);
+      }
+      else {
+        results[resultIndexes[n]] = result;
+      }
+      if (completed === services.length) {
+        finish();
+      }
+      else {
+        process.nextTick(startNextService);
+      }
+    }
+    var instance = services[n];
+    if (instance[method]) {
+      callServiceMethod(self,
+        {type: 'call', service: service, method: method, implementation: describeInstance(instance)},
+        instance, instance[method], options, serviceDone);
+    }
+    else {
+      serviceDone();
+    }
+  }
+  function startNextService() {
+    if (failed || started >= services.length) return;
+    callNthService(started++);
+  }
+  if (services.length > 0) {
+    for (var i = 0; i < concurrency; i++) {
+      startNextService();
+    }
+  }
+  else {
+    done(null, results);
+  }
+  return deferred ? deferred.promise : this;
+}
+
+/**
+ * @description
+ * Creates a lifecycle function that calls into all the
+ * service methods specified in an alternated list of
+ * service names, and method names as parameters.
+ * It is possible to replace service/method pairs with
+ * a function(options, done) that will be called as part
+ * of the lifecycle execution.
+ * Service methods and functions can also take only options,
+ * and return a promise.
+ *
+ * For example:
+ *
+ *   scope.lifecycle(
+ *     'service1', 'methodA',
+ *     'service2', 'methodB',
+ *     function(options, done) {...},
+ *     'service3', 'methodC'
+ *   )
+ *
+ * returns a function that will call methodA on all instances
+ * of service1, then methodB on all instances of service2,
+ * then the function, then methodC on all instances of service3.
+ * This is a shortcut for a lifecycle built with defineLifecycle, that
+ * has a single stage.
+ * The first parameter can also be the settings of the lifecycle, such as
+ * {lateBound: true} to resolve services each time the lifecycle runs,
+ * as with LifecycleBuilder.build.
+ *
+ * @param {string} service The service name.
+ * @param {string} method The method name.
+ * @returns {Function} A function that takes an options object and a callback as a parameter.
+ * If the callback is omitted, the function returns a promise.
+ */
+function scope$lifecycle(service, method) {
+  var builder = new LifecycleBuilder(this);
+  var settings = null;
+  var i = 0;
+  if (service && typeof service === 'object') {
+    settings = service;
+    i = 1;
+  }
+  for (; i < arguments.length; i++) {
+    if (typeof arguments[i] === 'function') {
+      builder.step(arguments[i]);
+    }
+    else {
+      builder.step(arguments[i], arguments[++i]);
+    }
+  }
+  return builder.build(settings);
+}
+
+/**
+ * @description
+ * Creates a builder for a lifecycle that has named stages, conditional steps,
+ * timeouts, error handlers, and finally steps.
+ * @returns {LifecycleBuilder} The builder.
+ */
+function scope$defineLifecycle() {
+  return new LifecycleBuilder(this);
+}
+
+/**
+ * @description
+ * Builds lifecycles from named stages of steps, that run serially, in order.
+ * Each step is a service method, that is called on all instances of the
+ * service, or a function(options, done). Steps can also take only options,
+ * and return a promise.
+ * When a step fails, the remaining steps are skipped, the error handlers
+ * are called with the error, and the finally steps run.
+ * Don't call this directly, instances are built by scope.defineLifecycle.
+ * @param {object} scope The scope the services of the lifecycle are resolved from.
+ * @constructor
+ */
+function LifecycleBuilder(scope) {
+  this.scope = scope;
+  this.stages = [];
+  this.currentStage = null;
+  this.finallySteps = [];
+  this.errorHandlers = [];
+}
+
+/**
+ * @description
+ * Finds the index of a stage.
+ * @param {Array} stages The stages.
+ * @param {string} name The name of the stage.
+ * @returns {number} The index of the stage, or -1 if it doesn't exist.
+ */
+function indexOfStage(stages, name) {
+  for (var i = 0; i < stages.length; i++) {
+    if (stages[i].name === name) return i;
+  }
+  return -1;
+}
+
+/**
+ * @description
+ * Builds the definition of a lifecycle step.
+ * @param {string|Function} service The service name, or the function to call.
+ * @param {string|object} [method] The method name, or the settings if service is a function.
+ * @param {object} [settings] The settings of the step.
+ * @returns {object} The definition of the step.
+ */
+function createStepDefinition(service, method, settings) {
+  if (typeof service === 'function') {
+    return {fn: service, settings: method || {}};
+  }
+  if (typeof service !== 'string' || typeof method !== 'string') {
+    throw new Error(
+      'Lifecycle steps must be a service name and a method name, or a function.');
+  }
+  return {service: service, method: method, settings: settings || {}};
+}
+
+/**
+ * @description
+ * Adds a stage to the lifecycle, or goes back to an existing stage, so that
+ * the steps that are added next go into it.
+ * New stages are added at the end, unless the position says otherwise.
+ * @param {string} name The name of the stage.
+ * @param {object} [position] The position of a new stage.
+ * @param {string} [position.before] The name of the stage to insert the new stage before.
+ * @param {string} [position.after] The name of the stage to insert the new stage after.
+ * @returns {LifecycleBuilder} The builder.
+ */
+LifecycleBuilder.prototype.stage = function stage(name, position) {
+  var existingIndex = indexOfStage(this.stages, name);
+  if (existingIndex !== -1) {
+    if (position) {
+      throw new Error(util.format("The lifecycle already has a stage '%s'.", name));
+    }
+    this.currentStage = this.stages[existingIndex];
+    return this;
+  }
+  var index = this.stages.length;
+  var reference = position ? position.before || position.after : null;
+  if (reference) {
+    var referenceIndex = indexOfStage(this.stages, reference);
+    if (referenceIndex === -1) {
+      throw new Error(
+        util.format("Can't add stage '%s' %s stage '%s', that doesn't exist.",
+          name, position.before ? 'before' : 'after', reference));
+    }
+    index = position.before ? referenceIndex : referenceIndex + 1;
+  }
+  this.currentStage = {name: name, steps: []};
+  this.stages.splice(index, 0, this.currentStage);
+  return this;
+};
+
+/**
+ * @description
+ * Adds a step to the current stage. If no stage was added yet, a stage
+ * named 'default' is added.
+ * @param {string|Function} service The service name, or the function(options, done) to call.
+ * @param {string} [method] The method name, if service is a service name.
+ * @param {object} [settings] The settings of the step.
+ * @param {Function} [settings.when] A predicate on the options, that the step only runs if it returns true.
+ * @param {number} [settings.timeout] The time in milliseconds after which the step fails.
+ * @returns {LifecycleBuilder} The builder.
+ */
+LifecycleBuilder.prototype.step = function step(service, method, settings) {
+  if (!this.currentStage) this.stage('default');
+  this.currentStage.steps.push(createStepDefinition(service, method, settings));
+  return this;
+};
+
+/**
+ * @description
+ * Adds a step that always runs at the end of the lifecycle, whether the
+ * other steps succeeded or not, such as teardown code.
+ * All finally steps run, even if one of them fails.
+ * @param {string|Function} service The service name, or the function(options, done) to call.
+ * @param {string} [method] The method name, if service is a service name.
+ * @param {object} [settings] The settings of the step, as for step.
+ * @returns {LifecycleBuilder} The builder.
+ */
+LifecycleBuilder.prototype['finally'] = function addFinallyStep(service, method, settings) {
+  this.finallySteps.push(createStepDefinition(service, method, settings));
+  return this;
+};
+
+/**
+ * @description
+ * Adds an error handler, that is called when a step fails, before the
+ * finally steps. If the error handlers succeed, the error is considered
+ * handled, and the lifecycle succeeds. If one fails, for example by throwing
+ * the error again, the lifecycle fails with its error.
+ * @param {Function} handler The function(err, options, done) that handles the error.
+ * @returns {LifecycleBuilder} The builder.
+ */
+LifecycleBuilder.prototype['catch'] = function addErrorHandler(handler) {
+  if (typeof handler !== 'function') {
+    throw new Error('Lifecycle error handlers must be functions.');
+  }
+  this.errorHandlers.push(handler);
+  return this;
+};
+
+/**
+ * @description
+ * Resolves the steps of a lifecycle into the functions to call.
+ * Service steps are expanded into one step per instance of the service.
+ * @param {object} scope The scope.
+ * @param {Array} definitions The definitions of the steps.
+ * @param {string} stageName The name of the stage the steps belong to.
+ * @returns {Array} The resolved steps.
+ */
+function resolveLifecycleSteps(scope, definitions, stageName) {
+  var steps = [];
+  definitions.forEach(function resolveStep(definition) {
+    if (definition.fn) {
+      steps.push({
+        stage: stageName,
+        service: null,
+        method: null,
+        implementation: definition.fn.name || null,
+        instance: null,
+        fn: definition.fn,
+        settings: definition.settings
+      });
+      return;
+    }
+    scope.getServices(definition.service).forEach(function resolveInstance(instance) {
+      steps.push({
+        stage: stageName,
+        service: definition.service,
+        method: definition.method,
+        implementation: describeInstance(instance),
+        instance: instance,
+        fn: instance[definition.method].bind(instance),
+        settings: definition.settings
+      });
+    });
+  });
+  return steps;
+}
+
+/**
+ * @description
+ * Wraps a callback so that it's called with an error if it wasn't called
+ * within a timeout. Calls that come after the timeout are ignored.
+ * @param {number} [timeout] The timeout in milliseconds. If it's not a positive
+ * number, the callback is returned as is.
+ * @param {string} description The description of what is timed, for the error message.
+ * @param {Function} done The callback.
+ * @returns {Function} The wrapped callback.
+ */
+function withTimeout(timeout, description, done) {
+  if (!(timeout > 0)) return done;
+  var finished = false;
+  var timer = setTimeout(function timedOut() {
+    finished = true;
+    done(new Error(util.format('%s timed out after %d ms.', description, timeout)));
+  }, timeout);
+  return function finish(err, result) {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    done(err, result);
+  };
+}
+
+/**
+ * @description
+ * Runs a resolved lifecycle step, unless its when predicate returns false.
+ * @param {object} scope The scope.
+ * @param {object} step The resolved step.
+ * @param {number} index The index of the step in the lifecycle, for tracing.
+ * @param {object} options The options to pass to the step.
+ * @param {Function} done The function to call when the step has completed.
+ */
+function runLifecycleStep(scope, step, index, options, done) {
+  if (step.settings.when) {
+    var shouldRun;
+    try {
+      shouldRun = step.settings.when(options);
+    }
+    catch(err) {
+      done(err);
+      return;
+    }
+    if (!shouldRun) {
+      done();
+      return;
+    }
+  }
+  var event = {
+    type: 'lifecycle-step',
+    step: index,
+    stage: step.stage,
+    service: step.service,
+    method: step.method,
+    implementation: step.implementation
+  };
+  var stepDone = withTimeout(step.settings.timeout,
+    util.format('Lifecycle step %s', step.service ?
+      step.service + '.' + step.method : step.implementation || index),
+    function stepCompleted(err) {done(err);});
+  if (step.instance) {
+    callServiceMethod(scope, event, step.instance, step.fn, options, stepDone);
+  }
+  else {
+    callTraced(scope, event, step.fn, null, [options], stepDone);
+  }
+}
+
+/**
+ * @description
+ * Runs resolved lifecycle steps serially.
+ * @param {object} scope The scope.
+ * @param {Array} steps The resolved steps.
+ * @param {number} firstIndex The index of the first step in the lifecycle, for tracing.
+ * @param {object} options The options to pass to the steps.
+ * @param {boolean} runAll True to run all the steps even if some fail, false to
+ * stop at the first error.
+ * @param {Function} done The function to call with the first error, if any.
+ */
+function runLifecycleSteps(scope, steps, firstIndex, options, runAll, done) {
+  var firstError = null;
+  function executeNthStep(n) {
+    runLifecycleStep(scope, steps[n], firstIndex + n, options, function nextStep(err) {
+      if (err) {
+        firstError = firstError || err;
+        if (!runAll) {
+          done(err);
+          return;
+        }
+      }
+      if (n + 1 < steps.length) {
+        process.nextTick(function callNextStep() {executeNthStep(n + 1);});
+      }
+      else {
+        done(firstError);
+      }
+    });
+  }
+  if (steps.length > 0) {
+    executeNthStep(0);
+  }
+  else {
+    done(null);
   }
-  return instances[index] = construct(scope, serviceClass, options);
 }
 
 /**
  * @description
- * Initializes a service by calling its init method, and wiring up
- * its static events.
+ * Resolves the stages, error handlers, and finally steps of a lifecycle
+ * from a scope.
  * @param {object} scope The scope.
- * @param {Function} ServiceClass The service class to initialize.
+ * @param {object} definition The stages, errorHandlers, and finallySteps of the lifecycle.
+ * @returns {object} The resolved steps, errorHandlers, and finallySteps.
  */
-function initializeService(scope, ServiceClass) {
-  if (!ServiceClass) return;
-  if (ServiceClass.init) {
-    ServiceClass.init(scope);
+function resolveLifecycle(scope, definition) {
+  var steps = [];
+  definition.stages.forEach(function resolveStage(stage) {
+    Array.prototype.push.apply(steps, resolveLifecycleSteps(scope, stage.steps, stage.name));
+  });
+  return {
+    steps: steps,
+    errorHandlers: definition.errorHandlers.map(function resolveErrorHandler(handler) {
+      return {
+        stage: 'catch',
+        service: null,
+        method: null,
+        implementation: handler.name || null,
+        instance: null,
+        fn: handler,
+        settings: {}
+      };
+    }),
+    finallySteps: resolveLifecycleSteps(scope, definition.finallySteps, 'finally')
+  };
+}
+
+/**
+ * @description
+ * Runs a resolved lifecycle: its steps, then if one failed, its error
+ * handlers, then its finally steps.
+ * @param {object} scope The scope.
+ * @param {object} lifecycle The resolved steps, errorHandlers, and finallySteps.
+ * @param {object} options The options to pass to the steps.
+ * @param {Function} done The function to call when the lifecycle has completed.
+ */
+function runLifecycle(scope, lifecycle, options, done) {
+  var steps = lifecycle.steps;
+  var errorHandlers = lifecycle.errorHandlers;
+  function finish(err) {
+    runLifecycleSteps(scope, lifecycle.finallySteps, steps.length + errorHandlers.length,
+      options, true, function finallyStepsDone(finallyError) {
+        var error = err || finallyError;
+        if (error) done(error);
+        else done();
+      });
   }
-  // Wire up declared static event handlers
-  if (ServiceClass.on) {
-    Object.keys(ServiceClass.on).forEach(function forEachEvent(eventName) {
-      scope.on(eventName, function handleEvent(payload) {
-        ServiceClass.on[eventName](scope, payload);
-      })
+  runLifecycleSteps(scope, steps, 0, options, false, function stepsDone(err) {
+    if (!err || errorHandlers.length === 0) {
+      finish(err);
+      return;
+    }
+    var handlerSteps = errorHandlers.map(function bindError(handler) {
+      var fn = handler.fn;
+      var boundHandler = fn.length > 2 ?
+        function handleError(options, done) {fn(err, options, done);} :
+        function handleError(options) {return fn(err, options);};
+      return {
+        stage: handler.stage,
+        service: null,
+        method: null,
+        implementation: handler.implementation,
+        instance: null,
+        fn: boundHandler,
+        settings: handler.settings
+      };
     });
-  }
+    runLifecycleSteps(scope, handlerSteps, steps.length, options, false, finish);
+  });
 }
 
 /**
  * @description
- * Initialize services for this scope. This is called automatically if the scope was built
- * with a set of services. Otherwise, it must be called manually.
- * @returns {object} The scope.
+ * Builds the lifecycle function.
+ * By default, services are resolved when the lifecycle is built, from the
+ * scope the builder was created from, so that services registered later
+ * are not included.
+ * Late-bound lifecycles resolve services each time they run instead, from
+ * the scope they run on, so that they can be defined once, and run on any
+ * scope, such as each request scope, with its runOn method.
+ * The builder can still be changed, and build again, without affecting
+ * the lifecycles it already built.
+ * @param {object} [settings] The settings of the lifecycle.
+ * @param {boolean} [settings.lateBound] True to resolve services each time the lifecycle runs.
+ * @returns {Function} A function that takes an options object and a callback as a parameter.
+ * If the callback is omitted, the function returns a promise.
+ * Late-bound lifecycles also have a runOn(scope, options, done) method, that runs
+ * the lifecycle on another scope.
  */
-function scope$initialize() {
-  if (this.services) {
-    // Initialize all services except those that are scoped to some other scope
-    for (var serviceName in this.services) {
-      var serviceClasses = this.services[serviceName];
-      if (!serviceClasses) continue;
-      for (var i = 0; i < serviceClasses.length; i++) {
-        var ServiceClass = serviceClasses[i];
-        if (!ServiceClass.scope || ServiceClass.scope === this.scopeName) {
-          initializeService(this, ServiceClass);
-        }
+LifecycleBuilder.prototype.build = function build(settings) {
+  var self = this.scope;
+  var definition = {
+    stages: this.stages.map(function copyStage(stage) {
+      return {name: stage.name, steps: stage.steps.slice()};
+    }),
+    errorHandlers: this.errorHandlers.slice(),
+    finallySteps: this.finallySteps.slice()
+  };
+  var lateBound = !!(settings && settings.lateBound);
+  var resolved = lateBound ? null : resolveLifecycle(self, definition);
+  function runOn(scope, options, done) {
+    var deferred = done ? null : createDeferred();
+    if (deferred) done = deferred.callback;
+    var resolvedLifecycle = resolved;
+    if (!resolvedLifecycle) {
+      try {
+        resolvedLifecycle = resolveLifecycle(scope, definition);
+      }
+      catch(err) {
+        done(err);
+        return deferred ? deferred.promise : scope;
       }
     }
-    this._scopeInitialized = true;
+    runLifecycle(scope, resolvedLifecycle, options, done);
+    return deferred ? deferred.promise : scope;
+  }
+  var lifecycle = function lifecycle(options, done) {
+    var result = runOn(self, options, done);
+    return done ? this : result;
+  };
+  if (lateBound) {
+    lifecycle.runOn = function lifecycleRunOn(scope, options, done) {
+      if (!scope || typeof scope.getServices !== 'function') {
+        throw new Error('Lifecycles can only run on scopes.');
+      }
+      return runOn(scope, options, done);
+    };
+  }
+  return lifecycle;
+};
+
+/**
+ * @description
+ * Adds an event handler to the scope.
+ * This is only added to scopes that are not already event emitters.
+ * @param {string} eventName The name of the event.
+ * @param {Function} handler The function to call when the event is emitted.
+ * @returns {object} The scope.
+ */
+function scope$on(eventName, handler) {
+  var handlers = this._scopeEventHandlers[eventName];
+  if (!handlers) {
+    handlers = this._scopeEventHandlers[eventName] = [];
   }
+  handlers.push(handler);
   return this;
 }
 
 /**
  * @description
- * Registers a service into the scope's registry, making it available for require and
- * getServices. This will initialize the service if the scope is already initialized.
- * @param {string} name The service name implemented by ServiceClass.
- * @param {Function} ServiceClass The service constructor, or the static service object to register.
+ * Adds an event handler to the scope, that is removed after its first call.
+ * This is only added to scopes that are not already event emitters.
+ * @param {string} eventName The name of the event.
+ * @param {Function} handler The function to call when the event is emitted.
  * @returns {object} The scope.
  */
-function scope$register(name, ServiceClass) {
-  if (!this.services[name]) {
-    this.services[name] = [ServiceClass];
+function scope$once(eventName, handler) {
+  var self = this;
+  function handleOnce() {
+    self.off(eventName, handleOnce);
+    return handler.apply(this, arguments);
   }
-  else {
-    this.services[name].push(ServiceClass);
+  handleOnce.listener = handler;
+  return self.on(eventName, handleOnce);
+}
+
+/**
+ * @description
+ * Removes an event handler from the scope.
+ * This is only added to scopes that are not already event emitters.
+ * @param {string} eventName The name of the event.
+ * @param {Function} [handler] The handler to remove. All handlers for the event are removed if omitted.
+ * @returns {object} The scope.
+ */
+function scope$off(eventName, handler) {
+  var handlers = this._scopeEventHandlers[eventName];
+  if (!handlers) return this;
+  if (!handler) {
+    delete this._scopeEventHandlers[eventName];
+    return this;
   }
-  if (this._scopeInitialized) {
-    // Scope has already initialized its services, so any new one that gets added
-    // must also be initialized.
-    if (!ServiceClass.hasOwnProperty('scope')
-      || ServiceClass.scope === this.scopeName) {
-      initializeService(this, ServiceClass);
+  for (var i = handlers.length - 1; i >= 0; i--) {
+    if (handlers[i] === handler || handlers[i].listener === handler) {
+      handlers.splice(i, 1);
+      break;
     }
   }
+  if (handlers.length === 0) delete this._scopeEventHandlers[eventName];
   return this;
 }
 
 /**
  * @description
- * Returns an instance of a service implementing the named contract passed as a parameter.
- * If more than one service exists for that contract, one instance that
- * has dependencies on any other service for that contract is returned. Do not
- * count on any particular service being returned if that is the case among the ones
- * that have the most dependencies.
- * A new instance is returned every time the function is called, unless the service
- * is static, or if it is a scope singleton.
- *
- * @param {String} service  The name of the contract for which a service instance is required.
- * @param {object} [options] Options to pass into the service's constructor.
- * @returns {object} An instance of the service, or null if it wasn't found.
+ * Emits an event, by synchronously calling the handlers for that event with
+ * the arguments passed after the event name.
+ * If the scope's bubbleEvents property is true, the event is then emitted on the
+ * parent scope.
+ * Services that are registered on both scopes, such as unscoped services, have
+ * their static handlers wired on each, but only the one on the scope where the
+ * event was emitted is called.
+ * This is only added to scopes that are not already event emitters.
+ * @param {string} eventName The name of the event.
+ * @returns {boolean} True if the event had handlers, on this scope or on the scopes it bubbled to.
  */
-function scope$require(service, options) {
-  var services = this.services[service];
-  var ServiceClass = services && services.length > 0 ?
-    services[services.length - 1] : null;
-  if (!ServiceClass) return null;
-  if (!ServiceClass.transient) {
-    return getSingleton(this, service, services.length - 1, options);
-  }
-  return construct(this, ServiceClass, options);
+function scope$emit(eventName) {
+  return emitScopeEvent(this, eventName, Array.prototype.slice.call(arguments, 1), []);
 }
 
 /**
  * @description
- * Returns a list of service instances that are implementing the named contract passed as a parameter.
- * The services are returned in order of dependency: if service A has a dependency
- * on service B, B is guaranteed to appear earlier in the list.
- * New instances are returned every time the function is called.
- *
- * @param {String} service The name of the contract for which service instances are required.
- * @param {object} [options] Options to pass into the services' constructors.
- * @returns {Array} An array of instances of the service.
+ * Emits an event on a scope, and bubbles it to its parent scope if the
+ * scope's bubbleEvents property is true, skipping the static handlers of
+ * services whose handlers were already called on sub-scopes.
+ * This should not be called, except by scope methods.
+ * @param {object} scope The scope.
+ * @param {string} eventName The name of the event.
+ * @param {Array} args The arguments to pass to the handlers.
+ * @param {Array} handledServiceClasses The service classes whose static handlers were already called.
+ * @returns {boolean} True if the event had handlers, on this scope or on the scopes it bubbled to.
  */
-function scope$getServices(service, options) {
-  var self = this;
-  if (!(service in self.services)) return [];
-  return self.services[service].map(
-    function getServiceInstance(ServiceClass, index) {
-      if (!ServiceClass.transient) {
-        return getSingleton(self, service, index, options);
+function emitScopeEvent(scope, eventName, args, handledServiceClasses) {
+  var handlers = scope._scopeEventHandlers[eventName];
+  var handled = false;
+  if (handlers) {
+    handled = true;
+    // Copy the handlers, so once handlers can remove themselves during the loop.
+    handlers.slice().forEach(function callHandler(handler) {
+      var ServiceClass = handler.ServiceClass;
+      if (ServiceClass) {
+        if (handledServiceClasses.indexOf(ServiceClass) !== -1) return;
+        handledServiceClasses.push(ServiceClass);
       }
-      return construct(self, ServiceClass, options);
-    }
-  );
+      handler.apply(scope, args);
+    });
+  }
+  var parentScope = scope.parentScope;
+  if (scope.bubbleEvents && parentScope && typeof parentScope.emit === 'function') {
+    handled = (parentScope.emit === scope$emit ?
+      emitScopeEvent(parentScope, eventName, args, handledServiceClasses) :
+      parentScope.emit.apply(parentScope, [eventName].concat(args))) || handled;
+  }
+  return handled;
 }
 
 /**
  * @description
- * Calls a method on each registered service of the specified name,
- * asynchronously.
- * @param {string} service The name of the service.
- * @param {string} method The name of the method.
- * @param {object} [options] The parameter to pass to the method.
- * @param {Function} done The function to call when all service methods have returned.
- * @returns {object} The scope.
+ * Validates the services that are registered on the scope, without
+ * instantiating them. The validation checks that:
+ * - the dependencies declared in inject and injectProperties, and aliased
+ *   services, have an implementation, unless they are marked optional,
+ * - the scope that each service declares is part of the scope hierarchy,
+ * - services don't depend on each other in a cycle, and the implementations
+ *   of a service can be ordered,
+ * - singletons don't inject services that are scoped to a shorter-lived
+ *   scope than theirs (captive dependencies).
+ * @param {Array} [hierarchy] The names of the scopes in the hierarchy, from the
+ * longest-lived to the shortest-lived, for example ['shell', 'request']. By default,
+ * the names of the scope and of its parent scopes are used, and services scoped to
+ * other scopes are assumed to belong to sub-scopes that don't exist yet, such as
+ * requests when validating a shell: they are not reported as unknown-scope, and
+ * are considered shorter-lived than the scopes in the hierarchy.
+ * @returns {object} A report that has a valid flag, the scope name, the hierarchy,
+ * and an array of problems. Each problem has a type ('missing-dependency',
+ * 'unknown-scope', 'circular-dependency', 'circular-ordering', or
+ * 'captive-dependency'), a message, and the service, implementation,
+ * dependency, scope, and path properties that are relevant to it.
  */
-function scope$callService(service, method, options, done) {
-  var services = this.getServices(service);
-  function callNthService(n) {
-    function nextService(err) {
-      if (err) {
-        done(err);
+function scope$validate(hierarchy) {
+  var self = this;
+  var isDefaultHierarchy = !hierarchy;
+  if (isDefaultHierarchy) {
+    hierarchy = [];
+    for (var currentScope = self; currentScope; currentScope = currentScope.parentScope) {
+      hierarchy.unshift(currentScope.scopeName);
+    }
+  }
+  // With the default hierarchy, scopes that are not in it can only be
+  // sub-scopes that don't exist yet, such as requests when validating a shell,
+  // so they are considered shorter-lived than all the scopes in it.
+  function getLifetime(scopeName) {
+    var lifetime = hierarchy.indexOf(scopeName);
+    return lifetime === -1 && isDefaultHierarchy ? hierarchy.length : lifetime;
+  }
+  var problems = [];
+  function trySelectImplementation(service, selection) {
+    try {
+      return selectImplementation(self, service, selection);
+    }
+    catch(err) {
+      // Ordering problems are reported separately.
+      return -1;
+    }
+  }
+  function getEdges(service, index) {
+    var ServiceClass = self.services[service][index];
+    var dependencies = ServiceClass instanceof Registration && ServiceClass.type === 'alias' ?
+      [{name: ServiceClass.target, kind: 'instance'}] : getDependencies(ServiceClass);
+    var edges = [];
+    dependencies.forEach(function dependencyToNodes(dependency) {
+      // Lazy and provider dependencies are resolved after construction,
+      // and can't cause circular dependencies.
+      if (dependency.kind === 'lazy' || dependency.kind === 'provider') return;
+      if (dependency.kind === 'all') {
+        (self.services[dependency.name] || []).forEach(function (DependencyClass, dependencyIndex) {
+          if (isEnabled(self, DependencyClass)
+            && matchesSelection(DependencyClass, dependency.selection)) {
+            edges.push({service: dependency.name, index: dependencyIndex});
+          }
+        });
         return;
       }
-      if (n + 1 < services.length) {
-        process.nextTick(function callNextService() {
-          callNthService(n + 1);
-        });
+      var dependencyIndex = trySelectImplementation(dependency.name, dependency.selection);
+      if (dependencyIndex !== -1) edges.push({service: dependency.name, index: dependencyIndex});
+    });
+    return edges;
+  }
+  var serviceNames = Object.getOwnPropertyNames(self.services);
+  serviceNames.forEach(function validateService(service) {
+    var implementations = self.services[service];
+    try {
+      sortImplementations(self, service, getImplementationDependencies(self, service));
+    }
+    catch(err) {
+      problems.push({type: 'circular-ordering', service: service, message: err.message});
+    }
+    implementations.forEach(function validateImplementation(ServiceClass, index) {
+      // Scopes are registered as services of their own name.
+      if (ServiceClass.scopeName === service) return;
+      if (!isEnabled(self, ServiceClass)) return;
+      var implementation = describeImplementation(service, ServiceClass, index);
+      if (ServiceClass instanceof Registration && ServiceClass.type === 'alias') {
+        if (!self.services[ServiceClass.target]) {
+          problems.push({
+            type: 'missing-dependency',
+            service: service,
+            implementation: implementation,
+            dependency: ServiceClass.target,
+            message: util.format('%s is an alias of %s, which has no implementation.',
+              service, ServiceClass.target)
+          });
+        }
+        return;
       }
-      else {
-        done();
+      var lifetime = ServiceClass.scope && !ServiceClass.transient ?
+        getLifetime(ServiceClass.scope) : -1;
+      if (ServiceClass.scope && getLifetime(ServiceClass.scope) === -1) {
+        problems.push({
+          type: 'unknown-scope',
+          service: service,
+          implementation: implementation,
+          scope: ServiceClass.scope,
+          message: util.format("%s (%s) is scoped to '%s', which is not in the scope hierarchy %s.",
+            implementation, service, ServiceClass.scope, hierarchy.join(' > '))
+        });
       }
+      getDependencies(ServiceClass).forEach(function validateDependency(dependency) {
+        var dependencyIndex = trySelectImplementation(dependency.name, dependency.selection);
+        var candidates = (self.services[dependency.name] || [])
+          .filter(function isSelected(Candidate) {
+            return isEnabled(self, Candidate)
+              && matchesSelection(Candidate, dependency.selection);
+          });
+        if (candidates.length === 0) {
+          // An empty list is a valid value for an 'all:' dependency.
+          if (dependency.optional || dependency.kind === 'all') return;
+          problems.push({
+            type: 'missing-dependency',
+            service: service,
+            implementation: implementation,
+            dependency: dependency.name,
+            message: util.format('%s (%s) requires %s, which has no implementation.',
+              implementation, service, describeDependency(dependency))
+          });
+          return;
+        }
+        if (lifetime === -1) return;
+        var dependencyClasses = dependency.kind === 'all' ? candidates :
+          dependencyIndex === -1 ? [] : [self.services[dependency.name][dependencyIndex]];
+        var DependencyClass = dependencyClasses.filter(function isShorterLived(Candidate) {
+          return Candidate.scope && getLifetime(Candidate.scope) > lifetime;
+        })[0];
+        if (DependencyClass) {
+          problems.push({
+            type: 'captive-dependency',
+            service: service,
+            implementation: implementation,
+            dependency: dependency.name,
+            scope: ServiceClass.scope,
+            message: util.format(
+              "%s (%s) is a singleton scoped to '%s', but injects %s, which is scoped to the shorter-lived '%s'.",
+              implementation, service, ServiceClass.scope, dependency.name, DependencyClass.scope)
+          });
+        }
+      });
+    });
+  });
+  // Look for cycles in the graph of the implementations that would be resolved.
+  var visited = {};
+  var path = [];
+  function visit(node) {
+    var key = node.service + '\u0000' + node.index;
+    if (visited[key] === 'done') return;
+    if (visited[key] === 'visiting') {
+      var start = 0;
+      while (path[start].service !== node.service || path[start].index !== node.index) start++;
+      var cycle = path.slice(start).concat(node)
+        .map(function nodeToService(step) {return step.service;});
+      problems.push({
+        type: 'circular-dependency',
+        service: node.service,
+        path: cycle,
+        message: util.format('Circular dependency detected: %s.', cycle.join(' -> '))
+      });
+      return;
+    }
+    visited[key] = 'visiting';
+    path.push(node);
+    getEdges(node.service, node.index).forEach(visit);
+    path.pop();
+    visited[key] = 'done';
+  }
+  serviceNames.forEach(function visitService(service) {
+    self.services[service].forEach(function visitImplementation(ServiceClass, index) {
+      if (isEnabled(self, ServiceClass)) visit({service: service, index: index});
+    });
+  });
+  return {
+    valid: problems.length === 0,
+    scope: self.scopeName,
+    hierarchy: hierarchy,
+    problems: problems
+  };
+}
+
+/**
+ * @description
+ * Gets the kind of an implementation, for descriptions of the scope.
+ * @param {Function|object} ServiceClass The implementation.
+ * @param {string} service The service name.
+ * @returns {string} 'scope', 'value', 'factory', 'alias', 'static', or 'class'.
+ */
+function getImplementationKind(ServiceClass, service) {
+  if (ServiceClass.scopeName === service) return 'scope';
+  if (ServiceClass instanceof Registration) return ServiceClass.type;
+  return typeof ServiceClass === 'function' && !ServiceClass.isStatic ? 'class' : 'static';
+}
+
+/**
+ * @description
+ * Describes the services that are registered on the scope, without
+ * instantiating them, as a JSON-friendly model that can be serialized to
+ * graph formats with the graph module.
+ * @returns {object} A description that has the scope name, the hierarchy of
+ * scope names, the enabled features, and a services array. Each service has a
+ * name and an implementations array. Each implementation has an id, a name, an
+ * index, a kind ('class', 'static', 'value', 'factory', 'alias', or 'scope'),
+ * its scope, transient, isStatic, enabled, and selected flags, its key, tags,
+ * and required features, the service it's an alias of, the ids of the other
+ * implementations of the service it's ordered after, the names of the scopes
+ * that hold cached instances of it, and its dependencies. Each dependency has the service name, the kind
+ * of injection, the optional flag, the key and tag it selects, the property it's
+ * injected into or its constructor parameter index, and the ids of the
+ * implementations it resolves to.
+ */
+function scope$describe() {
+  var self = this;
+  var hierarchy = [];
+  for (var currentScope = self; currentScope; currentScope = currentScope.parentScope) {
+    hierarchy.unshift(currentScope.scopeName);
+  }
+  var relatedScopes = [];
+  for (currentScope = self.parentScope; currentScope; currentScope = currentScope.parentScope) {
+    relatedScopes.push(currentScope);
+  }
+  (function addScopeAndSubScopes(scope) {
+    relatedScopes.push(scope);
+    getSubScopes(scope).forEach(addScopeAndSubScopes);
+  })(self);
+  function getId(service, index) {
+    return service + '/' + index;
+  }
+  function trySelectImplementation(service, selection) {
+    try {
+      return selectImplementation(self, service, selection);
+    }
+    catch(err) {
+      return -1;
     }
-    var service = services[n];
-    if (service[method]) {
-      service[method](options, function (err) {nextService(err);});
+  }
+  function describeDependencyTarget(dependency) {
+    var resolvesTo = [];
+    if (dependency.kind === 'all') {
+      (self.services[dependency.name] || []).forEach(function (DependencyClass, index) {
+        if (isEnabled(self, DependencyClass)
+          && matchesSelection(DependencyClass, dependency.selection)) {
+          resolvesTo.push(getId(dependency.name, index));
+        }
+      });
     }
     else {
-      nextService();
+      var index = trySelectImplementation(dependency.name, dependency.selection);
+      if (index !== -1) resolvesTo.push(getId(dependency.name, index));
     }
+    var description = {
+      service: dependency.name,
+      kind: dependency.kind,
+      optional: dependency.optional,
+      resolvesTo: resolvesTo
+    };
+    if (dependency.selection && dependency.selection.key) description.key = dependency.selection.key;
+    if (dependency.selection && dependency.selection.tag) description.tag = dependency.selection.tag;
+    return description;
   }
-  if (services.length > 0) {
-    callNthService(0);
+  var services = Object.getOwnPropertyNames(self.services).sort().map(function describeService(service) {
+    var selected = trySelectImplementation(service);
+    var implementationDependencies = getImplementationDependencies(self, service);
+    return {
+      name: service,
+      implementations: self.services[service].map(function describeImpl(ServiceClass, index) {
+        var kind = getImplementationKind(ServiceClass, service);
+        var dependencies = [];
+        if (kind !== 'scope' && kind !== 'alias') {
+          (ServiceClass.inject || []).forEach(function describeInjected(dependency, parameter) {
+            var description = describeDependencyTarget(parseDependency(dependency));
+            description.parameter = parameter;
+            dependencies.push(description);
+          });
+          Object.getOwnPropertyNames(ServiceClass.injectProperties || {})
+            .forEach(function describeProperty(property) {
+              var description = describeDependencyTarget(
+                parseDependency(ServiceClass.injectProperties[property]));
+              description.property = property;
+              dependencies.push(description);
+            });
+        }
+        else if (kind === 'alias') {
+          dependencies.push(describeDependencyTarget(
+            {name: ServiceClass.target, kind: 'all', optional: false, selection: null}));
+        }
+        var cachedOn = [];
+        relatedScopes.forEach(function findCachedInstance(relatedScope) {
+          var relatedServices = relatedScope.services && relatedScope.services[service];
+          var relatedIndex = relatedServices ? relatedServices.indexOf(ServiceClass) : -1;
+          var relatedInstances = relatedScope.instances && relatedScope.instances[service];
+          if (relatedIndex !== -1 && relatedInstances && relatedInstances[relatedIndex]
+            && cachedOn.indexOf(relatedScope.scopeName) === -1) {
+            cachedOn.push(relatedScope.scopeName);
+          }
+        });
+        var description = {
+          id: getId(service, index),
+          name: kind === 'scope' ?
+            util.format("scope '%s'", service) : describeImplementation(service, ServiceClass, index),
+          index: index,
+          kind: kind,
+          scope: kind === 'scope' ? service : ServiceClass.scope || null,
+          transient: !!ServiceClass.transient,
+          isStatic: kind === 'static',
+          enabled: isEnabled(self, ServiceClass),
+          selected: index === selected,
+          cachedOn: cachedOn,
+          dependencies: dependencies
+        };
+        if (typeof ServiceClass.key !== 'undefined') description.key = ServiceClass.key;
+        if (Array.isArray(ServiceClass.tags)) description.tags = ServiceClass.tags.slice();
+        if (Array.isArray(ServiceClass.requires)) description.requires = ServiceClass.requires.slice();
+        if (kind === 'alias') description.aliasOf = ServiceClass.target;
+        if (implementationDependencies && implementationDependencies[index].length > 0) {
+          description.orderedAfter = implementationDependencies[index].map(function (other) {
+            return getId(service, other);
+          });
+        }
+        return description;
+      })
+    };
+  });
+  return {
+    scope: self.scopeName,
+    hierarchy: hierarchy,
+    features: (getInheritedSetting(self, 'features') || []).slice(),
+    services: services
+  };
+}
+
+/**
+ * @description
+ * Adds a listener for the resolution events of this scope and its sub-scopes.
+ * The listener is called synchronously with event objects that have a type
+ * ('resolve-start', 'resolve-end', 'cache-hit', 'cache-miss', 'construct',
+ * 'call', or 'lifecycle-step'), the service name, the implementation name,
+ * the name of the scope the event happened on, and depending on the type,
+ * the name of the scope that owns the instance (ownerScope), the duration in
+ * milliseconds, the method and step index, and an error.
+ * Errors thrown by the listener are reported as process warnings.
+ * @param {Function} listener The function to call with each event.
+ * @returns {object} The scope.
+ */
+function scope$onResolve(listener) {
+  this._resolveListeners.push(listener);
+  return this;
+}
+
+/**
+ * @description
+ * Removes a listener for the resolution events of this scope.
+ * @param {Function} listener The listener to remove.
+ * @returns {object} The scope.
+ */
+function scope$offResolve(listener) {
+  var index = this._resolveListeners.indexOf(listener);
+  if (index !== -1) this._resolveListeners.splice(index, 1);
+  return this;
+}
+
+/**
+ * @description
+ * Runs a function with this scope as the current scope. Within the function,
+ * and the asynchronous calls it makes, the proxies that are injected into
+ * singletons in place of captive dependencies resolve services from this scope.
+ * @param {Function} fn The function to run.
+ * @returns {*} The return value of the function.
+ */
+function scope$run(fn) {
+  if (!currentScopeStorage) {
+    throw new Error('scope.run requires a version of Node that has AsyncLocalStorage.');
   }
-  else {
-    done();
+  return currentScopeStorage.run(this, fn);
+}
+
+/**
+ * @description
+ * Disposes of the scope.
+ * Sub-scopes that are still alive are disposed of first, then each scope singleton that the
+ * scope constructed gets its dispose (or destroy) method called, in reverse
+ * order of construction. Transient and static services are not disposed of.
+ * Disposal continues if one of the instances fails to dispose of itself,
+ * and the first error is handed to the callback.
+ * The event handlers that the scope's services declared are removed.
+ * Once disposed of, the scope can no longer resolve services.
+ * @param {Function} [done] The function to call when the scope has been disposed of.
+ * @returns {object} The scope.
+ */
+function scope$dispose(done) {
+  var self = this;
+  done = done || function() {};
+  if (self._scopeDisposed) {
+    process.nextTick(function alreadyDisposed() {done();});
+    return self;
   }
+  var subScopes = getSubScopes(self);
+  var instances = self._constructedInstances.reverse();
+  self._constructedInstances = [];
+  var steps = subScopes
+    .map(function subScopeToStep(subScope) {
+      return function disposeSubScope(next) {subScope.dispose(next);};
+    })
+    .concat(instances.map(function instanceToStep(instance) {
+      return function disposeScopeInstance(next) {
+        disposeInstance(instance, next);
+      };
+    }));
+  runToCompletion(steps, function finishDisposal(err) {
+    removeServiceEventHandlers(self);
+    self.instances = {};
+    self._scopeDisposed = true;
+    untrackSubScope(self.parentScope, self);
+    done(err);
+  });
+  return self;
+}
+
+/**
+ * @description
+ * Configures the default options for a service on this scope. The options are
+ * combined with the options that are passed to require and getServices, which
+ * take precedence, and are passed into the constructors of the implementations,
+ * whether they are required or injected.
+ * Sub-scopes inherit the options configured on their parents, and the options
+ * they configure take precedence. Singletons are built with the options
+ * configured on the scope that owns them.
+ * Configuring the same service again adds to the options already configured.
+ * @param {string} name The service name.
+ * @param {object} options The default options.
+ * @returns {object} The scope.
+ */
+function scope$configure(name, options) {
+  this._serviceOptions[name] = mergeOptions(this._serviceOptions[name], options);
   return this;
 }
 
 /**
  * @description
- * Creates a lifecycle function that calls into all the
- * service methods specified in an alternated list of
- * service names, and method names as parameters.
- * It is possible to replace service/method pairs with
- * a function(options, done) that will be called as part
- * of the lifecycle execution.
- *
- * For example:
- *
- *   scope.lifecycle(
- *     'service1', 'methodA',
- *     'service2', 'methodB',
- *     function(options, done) {...},
- *     'service3', 'methodC'
- *   )
- *
- * returns a function that will call methodA on all instances
- * of service1, then methodB on all instances of service2,
- * then the function, then methodC on all instances of service3.
- *
+ * Adds a decorator for a service. Decorators are applied to each new instance
+ * of the service, after it was constructed and injected, and before it gets
+ * cached, and can return a replacement for it, such as a wrapper or a proxy,
+ * or undefined to keep the instance they were given.
+ * Decorators are inherited by sub-scopes. Singletons are decorated with the
+ * decorators of the scope that owns them, and transient instances with those
+ * of the scope they are required from. Decorators of parent scopes are applied
+ * first, then those of the scope, in the order they were added.
+ * Instances that were already cached are not decorated.
  * @param {string} service The service name.
- * @param {string} method The method name.
- * @returns {Function} A function that takes an options object and a callback as a parameter.
+ * @param {Function} decorator The function(instance, scope, options) that decorates instances.
+ * @returns {object} The scope.
  */
-function scope$lifecycle(service, method) {
-  var methodArray = [];
-  for (var i = 0; i < arguments.length; i++) {
-    var serviceName = arguments[i];
-    if (typeof(serviceName) === 'function') {
-      methodArray.push(serviceName);
-      continue;
-    }
-    var services = this.getServices(serviceName);
-    if (!services) continue;
-    (function (methodName) {
-      Array.prototype.push.apply(
-        methodArray,
-        services.map(function serviceToMethod(service) {
-          return service[methodName].bind(service);
-        })
-      );
-    })(arguments[++i]);
-  }
-  return function lifecycle(options, done) {
-    function executeNthStep(n) {
-      function nextStep(err) {
-        if (err) {
-          done(err);
-          return;
-        }
-        if (n + 1 < methodArray.length) {
-          process.nextTick(function callNextStep() {executeNthStep(n + 1);});
-        }
-        else {
-          done();
-        }
-      }
-      var method = methodArray[n];
-      method(options, function (err) {nextStep(err);});
-    }
-    if (methodArray.length > 0) {
-      executeNthStep(0);
-    }
-    else {
-      done();
-    }
-    return this;
-  };
+function scope$decorate(service, decorator) {
+  if (typeof decorator !== 'function') {
+    throw new Error(
+      util.format("The decorator for service '%s' must be a function.", service));
+  }
+  var decorators = this._decorators[service];
+  this._decorators[service] = decorators ? decorators.concat([decorator]) : [decorator];
+  return this;
+}
+
+/**
+ * @description
+ * Adds an interceptor for a method of a service, that applies when the method
+ * is called through callService, its variants, or a lifecycle, from the scope
+ * or one of its sub-scopes.
+ * The interceptor can have before, around, and after functions, that are
+ * passed an invocation object with scope, service, method, instance, and
+ * options properties. before runs before the method, and can change the
+ * options. around is also passed a proceed function, that calls the method,
+ * and the interceptors that run inside this one, and that takes a callback, or
+ * returns a promise if it's omitted. around can skip the call, or change its
+ * result. after runs once the method succeeded, and can change the result
+ * property of the invocation. Each function can take a callback as its last
+ * parameter, or return a promise.
+ * Interceptors of parent scopes run outside of those of their sub-scopes, and
+ * on each scope, interceptors that were added first run outside of those that
+ * were added later.
+ * @param {string} service The service name, or '*' for all services.
+ * @param {string} method The method name, or '*' for all methods.
+ * @param {object} interceptor An object with before, around, and after functions.
+ * @returns {object} The scope.
+ */
+function scope$intercept(service, method, interceptor) {
+  if (!interceptor || ['before', 'around', 'after'].every(function isMissing(hook) {
+      return typeof interceptor[hook] !== 'function';
+    })) {
+    throw new Error(
+      util.format("The interceptor for %s.%s must have a before, around, or after function.",
+        service, method));
+  }
+  this._interceptors = this._interceptors.concat([{
+    service: service,
+    method: method,
+    interceptor: interceptor
+  }]);
+  return this;
 }
 
 /**
@@ -362,8 +3299,10 @@ function scope$makeSubScope(name, subScope) {
  * @description
  * Transforms an object into a scope. The role of a scope is to manage the lifecycle
  * of required services. This mixin adds initialize, register, require, getServices,
- * callService, and lifecycle methods that can be used to get service instances
- * that are scoped to the object, live and die with it.
+ * callService, lifecycle, makeSubScope, and dispose methods that can be used to
+ * get service instances that are scoped to the object, live and die with it.
+ * If the object is not already an event emitter, on, once, off, and emit methods
+ * are also added.
  * @mixin
  * @param {string} name The name of the scope.
  * @param {object} objectToScope The object that must be made a scope.
@@ -376,6 +3315,7 @@ function scope(name, objectToScope, services, parentScope) {
 
   if (services) {
     // Shallow copy services so that the service collection is per scope.
+    // The lists of implementations are shared, but never modified in place.
     var servicesCopy = objectToScope.services = {};
     Object.getOwnPropertyNames(services).forEach(function copyService(serviceName) {
       servicesCopy[serviceName] = services[serviceName];
@@ -388,13 +3328,55 @@ function scope(name, objectToScope, services, parentScope) {
 
   objectToScope.initialize = scope$initialize;
   objectToScope.register = scope$register;
+  objectToScope.registerValue = scope$registerValue;
+  objectToScope.registerFactory = scope$registerFactory;
+  objectToScope.registerAlias = scope$registerAlias;
+  objectToScope.unregister = scope$unregister;
+  objectToScope.replace = scope$replace;
+  objectToScope.configure = scope$configure;
+  objectToScope.decorate = scope$decorate;
+  objectToScope.intercept = scope$intercept;
   objectToScope.require = scope$require;
   objectToScope.getServices = scope$getServices;
   objectToScope.callService = scope$callService;
+  objectToScope.callServiceInParallel = scope$callServiceInParallel;
+  objectToScope.callServiceForResults = scope$callServiceForResults;
+  objectToScope.callServiceForFirstResult = scope$callServiceForFirstResult;
   objectToScope.lifecycle = scope$lifecycle;
+  objectToScope.defineLifecycle = scope$defineLifecycle;
   objectToScope.makeSubScope = scope$makeSubScope;
+  objectToScope.validate = scope$validate;
+  objectToScope.describe = scope$describe;
+  objectToScope.run = scope$run;
+  objectToScope.onResolve = scope$onResolve;
+  objectToScope.offResolve = scope$offResolve;
+  objectToScope.dispose = scope$dispose;
+  // Make the scope an event emitter, if it's not already one.
+  if (typeof objectToScope.on !== 'function'
+    && typeof objectToScope.emit !== 'function') {
+    objectToScope.on = scope$on;
+    objectToScope.once = scope$once;
+    objectToScope.off = scope$off;
+    objectToScope.emit = scope$emit;
+    objectToScope._scopeEventHandlers = {};
+  }
 
   objectToScope.instances = {};
+  objectToScope._serviceEventHandlers = [];
+  objectToScope._serviceOptions = {};
+  objectToScope._decorators = {};
+  objectToScope._interceptors = [];
+  objectToScope._resolveListeners = [];
+  objectToScope._implementationOrderings = {};
+  objectToScope._subScopes = [];
+  objectToScope._subScopesPruneLength = 16;
+  // The sub-scopes that are still alive, as a read-only array.
+  Object.defineProperty(objectToScope, 'subScopes', {
+    configurable: true,
+    get: function getAliveSubScopes() {return getSubScopes(this);}
+  });
+  objectToScope._constructedInstances = [];
+  trackSubScope(parentScope, objectToScope);
   if (services) {
     objectToScope.initialize();
   }
@@ -0,0 +1,104 @@
+// Decent Injection (c) 2014-2015 Bertrand Le Roy, under MIT. See LICENSE.txt for licensing details.
+'use strict';
+var expect = require('chai').expect;
+var path = require('path');
+var cli = require('../lib/cli');
+
+var fixtures = path.join(__dirname, 'fixtures', 'cli');
+var servicesModule = path.join(fixtures, 'services.js');
+var brokenServicesModule = path.join(fixtures, 'broken-services.js');
+
+function run(args) {
+  var result = {output: '', errorOutput: ''};
+  result.exitCode = cli(args,
+    {write: function(text) {result.output += text;}},
+    {write: function(text) {result.errorOutput += text;}});
+  return result;
+}
+
+describe('cli', function() {
+  it('lists services with their lifetimes', function() {
+    var result = run(['list', servicesModule]);
+
+    expect(result.exitCode).to.equal(0);
+    expect(result.output).to.equal([
+      'Scopes: shell > request',
+      '',
+      'index',
+      '  MemoryIndex (index/0): singleton on shell',
+      '  LuceneIndex (index/1): singleton on shell, selected',
+      '  SolrIndex (index/2): singleton on shell, disabled',
+      '',
+      'search',
+      '  Search (search/0): singleton on request, selected',
+      ''
+    ].join('\n'));
+  });
+
+  it('explains which implementation require returns', function() {
+    var result = run(['why', servicesModule, 'index']);
+
+    expect(result.exitCode).to.equal(0);
+    expect(result.output).to.equal([
+      "require('index') on scope 'request' returns LuceneIndex (index/1).",
+      '',
+      '  MemoryIndex (index/0): enabled, depends on 0 other implementations of index',
+      '  LuceneIndex (index/1): selected, enabled, depends on 1 other implementation of index (index/0)',
+      '  SolrIndex (index/2): disabled, because it requires features that are not enabled: solr',
+      '',
+      'LuceneIndex depends, directly or not, on the most other implementations of index.',
+      ''
+    ].join('\n'));
+  });
+
+  it('enables features on the root scope', function() {
+    var result = run(['why', servicesModule, 'index', '--features=solr']);
+
+    expect(result.exitCode).to.equal(0);
+    expect(result.output.split('\n')[0]).to.equal(
+      "require('index') on scope 'request' returns SolrIndex (index/2).");
+  });
+
+  it('prints the dependency graph in the requested format', function() {
+    var dot = run(['graph', servicesModule]);
+    var mermaid = run(['graph', servicesModule, '--format', 'mermaid']);
+    var json = run(['graph', servicesModule, '--format', 'json', '--scopes', 'shell']);
+
+    expect(dot.output).to.contain('digraph "request" {');
+    expect(dot.output).to.contain('"search/0" -> "index/1";');
+    expect(mermaid.output).to.contain('flowchart LR');
+    expect(JSON.parse(json.output).hierarchy).to.deep.equal(['shell']);
+  });
+
+  it('exits with 1 when the check finds problems', function() {
+    var healthy = run(['check', servicesModule]);
+    var broken = run(['check', brokenServicesModule]);
+
+    expect(healthy.exitCode).to.equal(0);
+    expect(healthy.output).to.equal('No problems found in scopes shell > request.\n');
+    expect(broken.exitCode).to.equal(1);
+    expect(broken.output).to.equal([
+      'missing-dependency: Search (search) requires index, which has no implementation.',
+      '1 problem found in scopes shell > request.',
+      ''
+    ].join('\n'));
+  });
+
+  it('exits with 2 and prints the usage when the command line is wrong', function() {
+    var result = run(['frob', servicesModule]);
+
+    expect(result.exitCode).to.equal(2);
+    expect(result.errorOutput).to.contain("Unknown command 'frob'.");
+    expect(result.errorOutput).to.contain('Usage: decent-injection');
+  });
+
+  it('prints the usage and exits with 0 when asked for help', function() {
+    [['help'], ['--help'], ['-h'], ['list', servicesModule, '--help']].forEach(function(args) {
+      var result = run(args);
+
+      expect(result.exitCode).to.equal(0);
+      expect(result.output).to.contain('Usage: decent-injection');
+      expect(result.errorOutput).to.equal('');
+    });
+  });
+});
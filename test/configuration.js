@@ -0,0 +1,105 @@
+// Decent Injection (c) 2014-2015 Bertrand Le Roy, under MIT. See LICENSE.txt for licensing details.
+'use strict';
+var expect = require('chai').expect;
+var path = require('path');
+var loadConfiguration = require('../lib/configuration');
+var scope = require('../lib/scope');
+
+var fixtures = path.join(__dirname, 'fixtures', 'configuration');
+var SearchIndex = require('./fixtures/configuration/services/search-index');
+var Comments = require('./fixtures/configuration/services/comments');
+var ClassIndex = require('./fixtures/configuration/services/class-index');
+
+describe('configuration', function() {
+  it('builds a scope from a configuration file', function() {
+    var shell = loadConfiguration(path.join(fixtures, 'site.json'), {name: 'shell'});
+
+    expect(shell.scopeName).to.equal('shell');
+    expect(shell.services.index).to.have.length(1);
+    expect(shell.services.index[0].scope).to.equal('shell');
+    expect(shell.services.index[0].name).to.equal('SearchIndex');
+    expect(SearchIndex).to.not.have.property('scope');
+    var index = shell.require('index', {pageSize: 20});
+    expect(index).to.be.an.instanceOf(SearchIndex);
+    expect(index.options).to.deep.equal({language: 'en', pageSize: 20});
+    expect(shell.require('comments')).to.be.an.instanceOf(Comments);
+  });
+
+  it('extends an existing scope', function() {
+    function ExistingService() {}
+    var shell = scope('shell', {}, {existing: [ExistingService]});
+
+    var result = loadConfiguration({
+      services: {
+        comments: {module: './services/comments', transient: true},
+        index: ['./services/search-index']
+      },
+      disabled: ['index']
+    }, {scope: shell, baseDirectory: fixtures});
+
+    expect(result).to.equal(shell);
+    expect(shell.require('existing')).to.be.an.instanceOf(ExistingService);
+    expect(shell.require('comments')).to.be.an.instanceOf(Comments);
+    expect(shell.require('comments')).to.not.equal(shell.require('comments'));
+    expect(shell.require('index')).to.be.null;
+    expect(Comments).to.not.have.property('transient');
+  });
+
+  it('lets each configuration set its own lifetimes for the same modules', function() {
+    var transientSite = loadConfiguration({
+      services: {comments: {module: './services/comments', transient: true}}
+    }, {name: 'shell', baseDirectory: fixtures});
+    var singletonSite = loadConfiguration({
+      services: {comments: './services/comments'}
+    }, {name: 'shell', baseDirectory: fixtures});
+
+    expect(transientSite.require('comments')).to.be.an.instanceOf(Comments);
+    expect(transientSite.require('comments')).to.not.equal(transientSite.require('comments'));
+    expect(singletonSite.require('comments')).to.be.an.instanceOf(Comments);
+    expect(singletonSite.require('comments')).to.equal(singletonSite.require('comments'));
+    expect(singletonSite.services.comments).to.deep.equal([Comments]);
+  });
+
+  it('configures the lifetimes of services written with class syntax', function() {
+    var shell = loadConfiguration({
+      services: {index: {module: './services/class-index', transient: true, options: {pageSize: 10}}}
+    }, {name: 'shell', baseDirectory: fixtures});
+
+    var index = shell.require('index');
+    expect(index).to.be.an.instanceOf(ClassIndex);
+    expect(index.options).to.deep.equal({pageSize: 10});
+    expect(shell.require('index')).to.not.equal(index);
+    expect(ClassIndex).to.not.have.property('transient');
+  });
+
+  it('rejects unknown keys', function() {
+    expect(function() {
+      loadConfiguration({servcies: {}});
+    }).to.throw("Unknown key 'servcies' in the configuration. Valid keys are services, disabled.");
+    expect(function() {
+      loadConfiguration({services: {index: {module: './index', scpoe: 'shell'}}});
+    }).to.throw("Unknown key 'scpoe' in the configuration of service 'index'. " +
+      'Valid keys are module, modules, scope, transient, options.');
+  });
+
+  it('reports the module that failed to load, and registers nothing', function() {
+    var shell = scope('shell', {}, {});
+
+    try {
+      loadConfiguration({
+        services: {
+          comments: './services/comments',
+          index: ['./services/search-index', './services/missing-index']
+        }
+      }, {scope: shell, baseDirectory: fixtures});
+      expect.fail();
+    }
+    catch(err) {
+      expect(err.message).to.match(
+        /^Couldn't load module '\.\/services\/missing-index' for service 'index': /);
+      expect(err.service).to.equal('index');
+      expect(err.modulePath).to.equal('./services/missing-index');
+    }
+    expect(shell.require('comments')).to.be.null;
+  });
+});
@@ -0,0 +1,68 @@
+// Decent Injection (c) 2014-2015 Bertrand Le Roy, under MIT. See LICENSE.txt for licensing details.
+'use strict';
+var expect = require('chai').expect;
+var path = require('path');
+var discover = require('../lib/discovery');
+var scope = require('../lib/scope');
+
+var fixtures = path.join(__dirname, 'fixtures', 'discovery');
+var searchServices = path.join(fixtures, 'search', 'services');
+var commentsPackage = path.join(fixtures, 'comments', 'package.json');
+
+describe('discovery', function() {
+  it('builds a map of services from directories, in a deterministic order', function() {
+    var services = discover({directories: [searchServices]});
+
+    expect(Object.getOwnPropertyNames(services)).to.deep.equal(['index', 'query-parser']);
+    expect(services.index.map(function(ServiceClass) {return ServiceClass.name;}))
+      .to.deep.equal(['MemoryIndex', 'LuceneIndex']);
+    expect(services['query-parser'][0].name).to.equal('QueryParser');
+
+    var shell = scope('shell', {}, services);
+    expect(shell.require('index').constructor.name).to.equal('LuceneIndex');
+  });
+
+  it('scans directories declared by a package.json field', function() {
+    var services = discover({
+      directories: searchServices,
+      packageFile: commentsPackage,
+      services: {existing: []}
+    });
+
+    expect(Object.getOwnPropertyNames(services)).to.deep.equal(
+      ['existing', 'index', 'query-parser', 'comments', 'content-part-handler']);
+    expect(services.comments[0]).to.equal(services['content-part-handler'][0]);
+  });
+
+  it('does not modify the lists of existing services in place', function() {
+    function ExistingIndex() {}
+    var existing = [ExistingIndex];
+    var services = discover({
+      directories: searchServices,
+      services: {index: existing}
+    });
+
+    expect(existing).to.deep.equal([ExistingIndex]);
+    expect(services.index[0]).to.equal(ExistingIndex);
+    expect(services.index.length).to.be.above(1);
+  });
+
+  it('lists discovered services in dry-run mode', function() {
+    var entries = discover({packageFile: commentsPackage, dryRun: true});
+
+    expect(entries).to.deep.equal([{
+      file: path.join(fixtures, 'comments', 'services', 'comments.js'),
+      names: ['comments', 'content-part-handler'],
+      scope: 'request',
+      transient: false
+    }]);
+  });
+
+  it('reports the file that failed to load', function() {
+    var file = path.join(fixtures, 'broken', 'broken-service.js');
+
+    expect(function() {
+      discover({directories: [path.join(fixtures, 'broken')]});
+    }).to.throw("Couldn't load service file " + file + ': Broken on purpose.');
+  });
+});
@@ -0,0 +1,10 @@
+// Decent Injection (c) 2014-2015 Bertrand Le Roy, under MIT. See LICENSE.txt for licensing details.
+'use strict';
+
+function Search(index) {}
+Search.scope = 'request';
+Search.inject = ['index'];
+
+module.exports = {
+  search: [Search]
+};
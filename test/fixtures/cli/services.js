@@ -0,0 +1,23 @@
+// Decent Injection (c) 2014-2015 Bertrand Le Roy, under MIT. See LICENSE.txt for licensing details.
+'use strict';
+
+function MemoryIndex() {}
+MemoryIndex.scope = 'shell';
+
+function LuceneIndex() {}
+LuceneIndex.scope = 'shell';
+LuceneIndex.after = [MemoryIndex];
+
+function SolrIndex() {}
+SolrIndex.scope = 'shell';
+SolrIndex.requires = ['solr'];
+SolrIndex.after = [MemoryIndex, LuceneIndex];
+
+function Search(index) {}
+Search.scope = 'request';
+Search.inject = ['index'];
+
+module.exports = {
+  index: [MemoryIndex, LuceneIndex, SolrIndex],
+  search: [Search]
+};
@@ -0,0 +1,10 @@
+// Decent Injection (c) 2014-2015 Bertrand Le Roy, under MIT. See LICENSE.txt for licensing details.
+'use strict';
+
+class ClassIndex {
+  constructor(scope, options) {
+    this.options = options;
+  }
+}
+
+module.exports = ClassIndex;
@@ -0,0 +1,6 @@
+// Decent Injection (c) 2014-2015 Bertrand Le Roy, under MIT. See LICENSE.txt for licensing details.
+'use strict';
+
+function Comments() {}
+
+module.exports = Comments;
@@ -0,0 +1,8 @@
+// Decent Injection (c) 2014-2015 Bertrand Le Roy, under MIT. See LICENSE.txt for licensing details.
+'use strict';
+
+function SearchIndex(scope, options) {
+  this.options = options;
+}
+
+module.exports = SearchIndex;
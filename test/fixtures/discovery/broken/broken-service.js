@@ -0,0 +1,4 @@
+// Decent Injection (c) 2014-2015 Bertrand Le Roy, under MIT. See LICENSE.txt for licensing details.
+'use strict';
+
+throw new Error('Broken on purpose.');
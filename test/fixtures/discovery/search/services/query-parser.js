@@ -0,0 +1,7 @@
+// Decent Injection (c) 2014-2015 Bertrand Le Roy, under MIT. See LICENSE.txt for licensing details.
+'use strict';
+
+function QueryParser() {}
+QueryParser.transient = true;
+
+module.exports = QueryParser;
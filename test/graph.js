@@ -0,0 +1,63 @@
+// Decent Injection (c) 2014-2015 Bertrand Le Roy, under MIT. See LICENSE.txt for licensing details.
+'use strict';
+var expect = require('chai').expect;
+var graph = require('../lib/graph');
+var scope = require('../lib/scope');
+
+function buildDescription() {
+  function Index() {}
+  Index.scope = 'shell';
+  function Search(index) {}
+  Search.inject = ['index'];
+  Search.injectProperties = {log: '?lazy:log'};
+  return scope('shell', {}, {
+    index: [Index],
+    search: [Search]
+  }).describe();
+}
+
+describe('graph', function() {
+  it('serializes a description to DOT', function() {
+    expect(graph.toDot(buildDescription())).to.equal([
+      'digraph "shell" {',
+      '  rankdir=LR;',
+      '  node [shape=box];',
+      '  subgraph "cluster_0" {',
+      '    label="index";',
+      '    "index/0" [label="Index\\nsingleton on shell", penwidth=2];',
+      '  }',
+      '  subgraph "cluster_1" {',
+      '    label="search";',
+      '    "search/0" [label="Search\\nsingleton", penwidth=2];',
+      '  }',
+      '  subgraph "cluster_2" {',
+      '    label="shell";',
+      '    "shell/0" [label="scope \'shell\'", penwidth=2];',
+      '  }',
+      '  "search/0" -> "index/0";',
+      '  "missing/log" [label="log\\nmissing", style=dashed, color=red];',
+      '  "search/0" -> "missing/log" [label="lazy log optional", style=dashed];',
+      '}',
+      ''
+    ].join('\n'));
+  });
+
+  it('serializes a description to Mermaid', function() {
+    expect(graph.toMermaid(buildDescription())).to.equal([
+      'flowchart LR',
+      '  subgraph s0 ["index"]',
+      '    n0["Index<br/>singleton on shell"]',
+      '  end',
+      '  subgraph s1 ["search"]',
+      '    n1["Search<br/>singleton"]',
+      '  end',
+      '  subgraph s2 ["shell"]',
+      '    n2["scope \'shell\'"]',
+      '  end',
+      '  n1 --> n0',
+      '  n3["log<br/>missing"]',
+      '  n1 -.->|lazy log optional| n3',
+      ''
+    ].join('\n'));
+  });
+});
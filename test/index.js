@@ -12,10 +12,32 @@ describe('scope', function() {
       .to.respondTo('require')
       .and.to.respondTo('initialize')
       .and.to.respondTo('register')
+      .and.to.respondTo('registerValue')
+      .and.to.respondTo('registerFactory')
+      .and.to.respondTo('registerAlias')
+      .and.to.respondTo('unregister')
+      .and.to.respondTo('replace')
+      .and.to.respondTo('configure')
+      .and.to.respondTo('decorate')
+      .and.to.respondTo('intercept')
       .and.to.respondTo('getServices')
       .and.to.respondTo('callService')
+      .and.to.respondTo('callServiceInParallel')
+      .and.to.respondTo('callServiceForResults')
+      .and.to.respondTo('callServiceForFirstResult')
       .and.to.respondTo('lifecycle')
-      .and.to.respondTo('makeSubScope');
+      .and.to.respondTo('defineLifecycle')
+      .and.to.respondTo('makeSubScope')
+      .and.to.respondTo('validate')
+      .and.to.respondTo('describe')
+      .and.to.respondTo('run')
+      .and.to.respondTo('onResolve')
+      .and.to.respondTo('offResolve')
+      .and.to.respondTo('dispose')
+      .and.to.respondTo('on')
+      .and.to.respondTo('once')
+      .and.to.respondTo('off')
+      .and.to.respondTo('emit');
   });
 
   it('returns the scoped object', function() {
@@ -440,4 +462,2412 @@ describe('scope', function() {
       done();
     });
   });
+
+  it('disposes of scope singletons in reverse order of construction', function(done) {
+    var disposed = [];
+    function FirstService() {}
+    FirstService.scope = 'the-scope';
+    FirstService.prototype.dispose = function() {
+      disposed.push('first');
+    };
+    function SecondService() {}
+    SecondService.scope = 'the-scope';
+    SecondService.prototype.destroy = function(next) {
+      disposed.push('second');
+      next();
+    };
+    function TransientService() {}
+    TransientService.transient = true;
+    TransientService.prototype.dispose = function() {
+      disposed.push('transient');
+    };
+    var scoped = scope('the-scope', {}, {
+      first: [FirstService],
+      second: [SecondService],
+      transient: [TransientService]
+    });
+    scoped.require('first');
+    scoped.require('transient');
+    scoped.require('second');
+
+    scoped.dispose(function(err) {
+      expect(err).to.not.be.ok;
+      expect(disposed).to.deep.equal(['second', 'first']);
+      expect(scoped.instances).to.deep.equal({});
+      done();
+    });
+  });
+
+  it('disposes of sub-scopes before their parent', function(done) {
+    var disposed = [];
+    function ShellService() {}
+    ShellService.scope = 'shell';
+    ShellService.prototype.dispose = function() {
+      disposed.push('shell');
+    };
+    function RequestService() {}
+    RequestService.scope = 'request';
+    RequestService.prototype.dispose = function(next) {
+      disposed.push('request');
+      next();
+    };
+    var shell = scope('shell', {}, {
+      'shell-service': [ShellService],
+      'request-service': [RequestService]
+    });
+    var request = shell.makeSubScope('request', {});
+    request.require('shell-service');
+    request.require('request-service');
+
+    expect(shell.subScopes).to.deep.equal([request]);
+    shell.dispose(function(err) {
+      expect(err).to.not.be.ok;
+      expect(disposed).to.deep.equal(['request', 'shell']);
+      expect(shell.subScopes).to.be.empty;
+      done();
+    });
+  });
+
+  it('does not dispose of parent singletons with a sub-scope', function(done) {
+    var disposed = [];
+    function ShellService() {}
+    ShellService.scope = 'shell';
+    ShellService.prototype.dispose = function() {
+      disposed.push('shell');
+    };
+    var shell = scope('shell', {}, {
+      'shell-service': [ShellService]
+    });
+    var request = shell.makeSubScope('request', {});
+    var instance = request.require('shell-service');
+
+    request.dispose(function() {
+      expect(disposed).to.be.empty;
+      expect(shell.subScopes).to.be.empty;
+      expect(shell.require('shell-service')).to.equal(instance);
+      done();
+    });
+  });
+
+  it('does not keep sub-scopes that were not disposed of alive', function(done) {
+    if (typeof WeakRef !== 'function') this.skip();
+    require('v8').setFlagsFromString('--expose-gc');
+    var gc = require('vm').runInNewContext('gc');
+    function ShellService() {}
+    ShellService.scope = 'shell';
+    function RequestService() {}
+    RequestService.scope = 'request';
+    var shell = scope('shell', {}, {
+      'shell-service': [ShellService],
+      'request-service': [RequestService]
+    });
+    var kept = shell.makeSubScope('request', {});
+    var collected = [];
+    (function createRequests() {
+      for (var i = 0; i < 100; i++) {
+        var request = shell.makeSubScope('request', {});
+        request.require('shell-service');
+        request.require('request-service');
+        collected.push(new WeakRef(request));
+      }
+    })();
+
+    setImmediate(function() {
+      gc();
+      expect(collected.filter(function(reference) {return reference.deref();})).to.be.empty;
+      expect(shell.subScopes).to.deep.equal([kept]);
+      done();
+    });
+  });
+
+  it('keeps disposing when an instance fails, and reports the first error', function(done) {
+    var disposed = [];
+    function FailingService() {}
+    FailingService.scope = 'the-scope';
+    FailingService.prototype.dispose = function(next) {
+      next(new Error('failed'));
+    };
+    function OtherService() {}
+    OtherService.scope = 'the-scope';
+    OtherService.prototype.dispose = function() {
+      disposed.push('other');
+    };
+    var scoped = scope('the-scope', {}, {
+      other: [OtherService],
+      failing: [FailingService]
+    });
+    scoped.require('other');
+    scoped.require('failing');
+
+    scoped.dispose(function(err) {
+      expect(err.message).to.equal('failed');
+      expect(disposed).to.deep.equal(['other']);
+      done();
+    });
+  });
+
+  it('throws when resolving services from a disposed scope', function(done) {
+    function ServiceClass() {}
+    var scoped = scope('the-scope', {}, {
+      service: [ServiceClass]
+    });
+
+    scoped.dispose(function() {
+      expect(function() {
+        scoped.require('service');
+      }).to.throw("Can't resolve service: scope the-scope has been disposed of.");
+      expect(function() {
+        scoped.getServices('service');
+      }).to.throw(/has been disposed of/);
+      done();
+    });
+  });
+
+  it('throws a readable error on circular constructor dependencies', function() {
+    function ShapeHandler(renderer) {
+      this.renderer = renderer;
+    }
+    ShapeHandler.inject = ['renderer'];
+    ShapeHandler.scope = 'request';
+    function Renderer(shapeHandler) {
+      this.shapeHandler = shapeHandler;
+    }
+    Renderer.inject = ['shape-handler'];
+    Renderer.scope = 'request';
+    var scoped = scope('request', {}, {
+      'shape-handler': [ShapeHandler],
+      renderer: [Renderer]
+    });
+
+    var error = null;
+    try {
+      scoped.require('shape-handler');
+    }
+    catch(err) {
+      error = err;
+    }
+    expect(error.message).to.equal(
+      "Circular dependency detected: shape-handler -> renderer -> shape-handler" +
+      " (on scopes 'request' -> 'request' -> 'request').");
+    expect(error.resolutionPath).to.deep.equal([
+      {service: 'shape-handler', scope: 'request'},
+      {service: 'renderer', scope: 'request'},
+      {service: 'shape-handler', scope: 'request'}
+    ]);
+  });
+
+  it('detects circular property dependencies across scopes', function() {
+    var RequestService = {
+      injectProperties: {shellService: 'shell-service'}
+    };
+    RequestService.scope = 'request';
+    function ShellService() {}
+    ShellService.scope = 'shell';
+    ShellService.injectProperties = {helper: 'helper'};
+    var Helper = {
+      injectProperties: {shellService: 'shell-service'}
+    };
+    var shell = scope('shell', {}, {
+      'request-service': [RequestService],
+      'shell-service': [ShellService],
+      helper: [Helper]
+    });
+    var request = shell.makeSubScope('request', {});
+
+    expect(function() {
+      request.getServices('request-service');
+    }).to.throw(
+      "Circular dependency detected: shell-service -> helper -> shell-service" +
+      " (on scopes 'request' -> 'shell' -> 'shell')."
+    );
+    // The resolution path is cleaned up after the error.
+    expect(request.require('request')).to.equal(request);
+  });
+
+  it('does not mistake a shared dependency for a cycle', function() {
+    function Shared() {}
+    Shared.transient = true;
+    function First(shared) {
+      this.shared = shared;
+    }
+    First.inject = ['shared'];
+    First.transient = true;
+    function Second(first, shared) {
+      this.first = first;
+      this.shared = shared;
+    }
+    Second.inject = ['first', 'shared'];
+    Second.transient = true;
+    var scoped = scope('', {}, {
+      shared: [Shared],
+      first: [First],
+      second: [Second]
+    });
+
+    var instance = scoped.require('second');
+
+    expect(instance.first.shared).to.be.an.instanceOf(Shared);
+    expect(instance.shared).to.be.an.instanceOf(Shared);
+  });
+
+  it('returns services in order of dependency from getServices', function() {
+    function SecondLevelCache() {}
+    SecondLevelCache.inject = ['first-level-cache'];
+    function FirstLevelCache() {}
+    function OtherCache() {}
+    var scoped = scope('', {}, {
+      cache: [SecondLevelCache, FirstLevelCache, OtherCache],
+      'first-level-cache': [FirstLevelCache]
+    });
+
+    var caches = scoped.getServices('cache');
+
+    expect(caches[0]).to.be.an.instanceOf(FirstLevelCache);
+    expect(caches[1]).to.be.an.instanceOf(SecondLevelCache);
+    expect(caches[2]).to.be.an.instanceOf(OtherCache);
+  });
+
+  it('orders services according to their before and after declarations', function() {
+    function First() {}
+    function Second() {}
+    Second.after = [First];
+    function Third() {}
+    Third.injectProperties = {second: 'second'};
+    function Zeroth() {}
+    Zeroth.before = ['first'];
+    var scoped = scope('', {}, {
+      service: [Third, Second, First, Zeroth],
+      first: [First],
+      second: [Second]
+    });
+
+    var instances = scoped.getServices('service');
+
+    expect(instances[0]).to.be.an.instanceOf(Zeroth);
+    expect(instances[1]).to.be.an.instanceOf(First);
+    expect(instances[2]).to.be.an.instanceOf(Second);
+    expect(instances[3]).to.be.an.instanceOf(Third);
+  });
+
+  it('returns the service with the most dependencies on its siblings from require', function() {
+    function Decorator() {}
+    Decorator.after = ['inner'];
+    function Inner() {}
+    Inner.after = ['innermost'];
+    function Innermost() {}
+    function Unrelated() {}
+    var scoped = scope('', {}, {
+      service: [Decorator, Inner, Innermost, Unrelated],
+      inner: [Inner],
+      innermost: [Innermost]
+    });
+
+    expect(scoped.require('service')).to.be.an.instanceOf(Decorator);
+  });
+
+  it('selects services again when the services or features change', function() {
+    function Inner() {}
+    function Outer() {}
+    Outer.after = [Inner];
+    function Replacement() {}
+    Replacement.after = [Inner];
+    function Featured() {}
+    Featured.after = [Outer];
+    Featured.requires = ['featured'];
+    var features = [];
+    var scoped = scope('', {features: features}, {
+      service: [Outer, Inner]
+    });
+
+    expect(scoped.require('service')).to.be.an.instanceOf(Outer);
+    scoped.register('service', Featured);
+    expect(scoped.require('service')).to.be.an.instanceOf(Outer);
+    features.push('featured');
+    expect(scoped.require('service')).to.be.an.instanceOf(Featured);
+    scoped.unregister('service', Featured);
+    expect(scoped.require('service')).to.be.an.instanceOf(Outer);
+    scoped.replace('service', Outer, Replacement);
+    expect(scoped.require('service')).to.be.an.instanceOf(Replacement);
+    expect(scoped.getServices('service').map(function(service) {
+      return service.constructor;
+    })).to.deep.equal([Inner, Replacement]);
+  });
+
+  it('lets sub-scopes reuse the order of services of their parent', function() {
+    var reads = 0;
+    function First() {}
+    function Second() {}
+    Object.defineProperty(Second, 'after', {
+      get: function() {
+        reads++;
+        return [First];
+      }
+    });
+    var shell = scope('shell', {}, {
+      service: [Second, First]
+    });
+
+    expect(shell.require('service')).to.be.an.instanceOf(Second);
+    var readsFromShell = reads;
+    var request = shell.makeSubScope('request', {});
+    expect(request.require('service')).to.be.an.instanceOf(Second);
+    expect(reads).to.equal(readsFromShell);
+    function Third() {}
+    Third.after = [Second];
+    request.register('service', Third);
+    expect(request.require('service')).to.be.an.instanceOf(Third);
+    expect(shell.require('service')).to.be.an.instanceOf(Second);
+  });
+
+  it('calls services in order of dependency', function(done) {
+    var results = [];
+    function Second() {}
+    Second.after = [First];
+    Second.prototype.method = function(context, next) {
+      results.push('second');
+      next();
+    };
+    function First() {}
+    First.prototype.method = function(context, next) {
+      results.push('first');
+      next();
+    };
+    var scoped = scope('', {}, {
+      service: [Second, First]
+    });
+
+    scoped.callService('service', 'method', {}, function() {
+      expect(results).to.deep.equal(['first', 'second']);
+      done();
+    });
+  });
+
+  it('throws when the order of services is impossible to satisfy', function() {
+    function First() {}
+    First.after = [Second];
+    First.before = [Third];
+    function Second() {}
+    Second.after = [Third];
+    function Third() {}
+    var scoped = scope('the-scope', {}, {
+      service: [First, Second, Third]
+    });
+
+    expect(function() {
+      scoped.getServices('service');
+    }).to.throw(
+      "Implementations of service on scope 'the-scope' depend on each other" +
+      " in a cycle: First -> Second -> Third -> First.");
+  });
+
+  it('calls services that return promises', function(done) {
+    var results = [];
+    function CallbackService() {}
+    CallbackService.prototype.method = function(context, next) {
+      results.push('callback');
+      next();
+    };
+    function PromiseService() {}
+    PromiseService.prototype.method = function(context) {
+      return new Promise(function(resolve) {
+        setTimeout(function() {
+          results.push('promise');
+          resolve();
+        }, 1);
+      });
+    };
+    function SyncService() {}
+    SyncService.prototype.method = function(context) {
+      results.push(context.value);
+    };
+    var scoped = scope('', {}, {
+      service: [CallbackService, PromiseService, SyncService]
+    });
+
+    scoped.callService('service', 'method', {value: 'sync'}, function(err) {
+      expect(err).to.not.be.ok;
+      expect(results).to.deep.equal(['callback', 'promise', 'sync']);
+      done();
+    });
+  });
+
+  it('stops calling services at the first rejected promise', function(done) {
+    var results = [];
+    function FailingService() {}
+    FailingService.prototype.method = function() {
+      return Promise.reject(new Error('failed'));
+    };
+    function OtherService() {}
+    OtherService.prototype.method = function(context, next) {
+      results.push('other');
+      next();
+    };
+    var scoped = scope('', {}, {
+      service: [FailingService, OtherService]
+    });
+
+    scoped.callService('service', 'method', {}, function(err) {
+      expect(err.message).to.equal('failed');
+      expect(results).to.be.empty;
+      done();
+    });
+  });
+
+  it('returns a promise from callService when no callback is provided', function() {
+    var results = [];
+    function ServiceClass() {}
+    ServiceClass.prototype.method = function(context, next) {
+      results.push(context.value);
+      next();
+    };
+    var scoped = scope('', {}, {
+      service: [ServiceClass]
+    });
+
+    return scoped.callService('service', 'method', {value: 'called'})
+      .then(function() {
+        expect(results).to.deep.equal(['called']);
+      });
+  });
+
+  it('rejects the promise returned by callService on errors', function() {
+    function ServiceClass() {}
+    ServiceClass.prototype.method = function(context, next) {
+      next(new Error('failed'));
+    };
+    var scoped = scope('', {}, {
+      service: [ServiceClass]
+    });
+
+    return scoped.callService('service', 'method', {})
+      .then(function() {
+        throw new Error('The promise should have been rejected.');
+      }, function(err) {
+        expect(err.message).to.equal('failed');
+      });
+  });
+
+  it('rejects the promise returned by callService when services fail to resolve', function() {
+    function Boom() {
+      throw new Error('ctor boom');
+    }
+    var scoped = scope('', {}, {
+      boom: [Boom]
+    });
+
+    return scoped.callService('boom', 'method', {})
+      .then(function() {
+        throw new Error('The promise should have been rejected.');
+      }, function(err) {
+        expect(err.message).to.equal('ctor boom');
+      });
+  });
+
+  it('passes callbacks to generic wrappers, and completes on callback or promise', function() {
+    var results = [];
+    function Implementation() {}
+    Implementation.prototype.flush = function(options, done) {
+      setTimeout(function() {
+        results.push('flushed');
+        done(null, 'callback');
+      }, 1);
+    };
+    function Wrapper() {
+      this.implementation = new Implementation();
+    }
+    Wrapper.prototype.flush = function() {
+      return this.implementation.flush.apply(this.implementation, arguments);
+    };
+    function Both() {}
+    Both.prototype.flush = function(options, done) {
+      done(null, 'first');
+      return Promise.resolve('second');
+    };
+    var scoped = scope('', {}, {
+      service: [Wrapper, Both]
+    });
+
+    return scoped.callServiceForResults('service', 'flush', {})
+      .then(function(flushed) {
+        expect(results).to.deep.equal(['flushed']);
+        expect(flushed).to.deep.equal(['callback', 'first']);
+      });
+  });
+
+  it('runs life cycles with promise-based steps, and returns a promise', function() {
+    var results = [];
+    function ServiceClass() {}
+    ServiceClass.prototype.method = function(context) {
+      return Promise.resolve().then(function() {
+        results.push('service');
+      });
+    };
+    var scoped = scope('', {}, {
+      service: [ServiceClass]
+    });
+
+    var lifecycle = scoped.lifecycle(
+      'service', 'method',
+      function(context, next) {
+        results.push('callback');
+        next();
+      },
+      function(context) {
+        return Promise.resolve().then(function() {
+          results.push('promise');
+        });
+      }
+    );
+    return lifecycle({})
+      .then(function() {
+        expect(results).to.deep.equal(['service', 'callback', 'promise']);
+      });
+  });
+
+  it('waits for promise-based dispose methods', function(done) {
+    var disposed = false;
+    function ServiceClass() {}
+    ServiceClass.prototype.dispose = function() {
+      return new Promise(function(resolve) {
+        setTimeout(function() {
+          disposed = true;
+          resolve();
+        }, 1);
+      });
+    };
+    var scoped = scope('', {}, {
+      service: [ServiceClass]
+    });
+    scoped.require('service');
+
+    scoped.dispose(function(err) {
+      expect(err).to.not.be.ok;
+      expect(disposed).to.be.true;
+      done();
+    });
+  });
+
+  it('calls services in parallel, and returns results in order', function(done) {
+    var running = 0;
+    var maxRunning = 0;
+    function makeService(result, delay) {
+      function ServiceClass() {}
+      ServiceClass.prototype.method = function(context, next) {
+        running++;
+        maxRunning = Math.max(running, maxRunning);
+        setTimeout(function() {
+          running--;
+          next(null, result + context.suffix);
+        }, delay);
+      };
+      return ServiceClass;
+    }
+    function PromiseService() {}
+    PromiseService.prototype.method = function(context) {
+      return Promise.resolve('promise' + context.suffix);
+    };
+    var scoped = scope('', {}, {
+      service: [makeService('slow', 10), makeService('fast', 1), PromiseService]
+    });
+
+    scoped.callServiceInParallel('service', 'method', {suffix: '!'}, function(err, results) {
+      expect(err).to.not.be.ok;
+      expect(results).to.deep.equal(['slow!', 'fast!', 'promise!']);
+      expect(maxRunning).to.equal(2);
+      done();
+    });
+  });
+
+  it('returns the results of services called in parallel in registration order', function() {
+    var started = [];
+    function Dependent() {}
+    Dependent.after = [Dependency];
+    Dependent.prototype.method = function() {
+      started.push('dependent');
+      return 'dependent';
+    };
+    function Dependency() {}
+    Dependency.prototype.method = function() {
+      started.push('dependency');
+      return 'dependency';
+    };
+    var scoped = scope('', {}, {
+      service: [Dependent, Dependency]
+    });
+
+    return scoped.callServiceInParallel('service', 'method', {})
+      .then(function(results) {
+        expect(started).to.deep.equal(['dependency', 'dependent']);
+        expect(results).to.deep.equal(['dependent', 'dependency']);
+      });
+  });
+
+  it('limits the number of services called in parallel', function() {
+    var running = 0;
+    var maxRunning = 0;
+    function ServiceClass() {}
+    ServiceClass.transient = true;
+    ServiceClass.prototype.method = function(context, next) {
+      running++;
+      maxRunning = Math.max(running, maxRunning);
+      setTimeout(function() {
+        running--;
+        next(null, 'done');
+      }, 1);
+    };
+    function SyncService() {}
+    SyncService.prototype.method = function() {
+      return 'sync';
+    };
+    var scoped = scope('', {}, {
+      service: [ServiceClass, SyncService, ServiceClass, ServiceClass, ServiceClass]
+    });
+
+    return scoped.callServiceInParallel('service', 'method', {}, {concurrency: 2})
+      .then(function(results) {
+        expect(results).to.deep.equal(['done', 'sync', 'done', 'done', 'done']);
+        expect(maxRunning).to.equal(2);
+      });
+  });
+
+  it('passes errors resolving services called in parallel to the callback', function(done) {
+    function Boom() {
+      throw new Error('ctor boom');
+    }
+    var scoped = scope('', {}, {
+      boom: [Boom]
+    });
+
+    scoped.callServiceInParallel('boom', 'method', {}, function(err) {
+      expect(err.message).to.equal('ctor boom');
+      scoped.callServiceInParallel('boom', 'method', {})
+        .then(function() {
+          done(new Error('The promise should have been rejected.'));
+        }, function(err) {
+          expect(err.message).to.equal('ctor boom');
+          done();
+        });
+    });
+  });
+
+  it('fails fast when calling services in parallel', function(done) {
+    var called = [];
+    function FailingService() {}
+    FailingService.prototype.method = function(context, next) {
+      called.push('failing');
+      next(new Error('failed'));
+    };
+    function OtherService() {}
+    OtherService.prototype.method = function(context, next) {
+      called.push('other');
+      next();
+    };
+    var scoped = scope('', {}, {
+      service: [FailingService, OtherService]
+    });
+
+    scoped.callServiceInParallel('service', 'method', {}, {concurrency: 1}, function(err, results) {
+      expect(err.message).to.equal('failed');
+      expect(results).to.be.undefined;
+      setTimeout(function() {
+        expect(called).to.deep.equal(['failing']);
+        done();
+      }, 5);
+    });
+  });
+
+  it('can collect all errors when calling services in parallel', function(done) {
+    function FirstFailingService() {}
+    FirstFailingService.prototype.method = function(context, next) {
+      next(new Error('first failed'));
+    };
+    function SucceedingService() {}
+    SucceedingService.prototype.method = function(context, next) {
+      next(null, 'succeeded');
+    };
+    function SecondFailingService() {}
+    SecondFailingService.prototype.method = function() {
+      return Promise.reject(new Error('second failed'));
+    };
+    var scoped = scope('', {}, {
+      service: [FirstFailingService, SucceedingService, SecondFailingService]
+    });
+
+    scoped.callServiceInParallel('service', 'method', {}, {collectErrors: true}, function(err, results) {
+      expect(err.message).to.equal(
+        '2 of 3 implementations of service failed to execute method: first failed; second failed');
+      expect(err.errors.length).to.equal(2);
+      expect(results).to.deep.equal([undefined, 'succeeded', undefined]);
+      done();
+    });
+  });
+
+  it('collects the results of service calls', function(done) {
+    var order = [];
+    function CallbackService() {}
+    CallbackService.prototype.method = function(context, next) {
+      order.push('callback');
+      setTimeout(function() {
+        next(null, 'callback' + context.suffix);
+      }, 5);
+    };
+    function ServiceWithoutMethod() {}
+    function PromiseService() {}
+    PromiseService.prototype.method = function(context) {
+      order.push('promise');
+      return Promise.resolve('promise' + context.suffix);
+    };
+    var scoped = scope('', {}, {
+      service: [CallbackService, ServiceWithoutMethod, PromiseService]
+    });
+
+    scoped.callServiceForResults('service', 'method', {suffix: '!'}, function(err, results) {
+      expect(err).to.not.be.ok;
+      expect(order).to.deep.equal(['callback', 'promise']);
+      expect(results).to.deep.equal(['callback!', undefined, 'promise!']);
+      done();
+    });
+  });
+
+  it('returns a promise for the results of service calls', function() {
+    function ServiceClass() {}
+    ServiceClass.prototype.method = function(context) {
+      return context.value;
+    };
+    var scoped = scope('', {}, {
+      service: [ServiceClass]
+    });
+
+    return scoped.callServiceForResults('service', 'method', {value: 42})
+      .then(function(results) {
+        expect(results).to.deep.equal([42]);
+      });
+  });
+
+  it('stops calling services at the first result', function(done) {
+    var called = [];
+    function makeHandler(name, result) {
+      function Handler() {}
+      Handler.prototype.handle = function(context, next) {
+        called.push(name);
+        next(null, result);
+      };
+      return Handler;
+    }
+    var scoped = scope('', {}, {
+      'route-resolver': [
+        makeHandler('first'),
+        makeHandler('second', null),
+        makeHandler('third', 'third')
+      ]
+    });
+
+    scoped.callServiceForFirstResult('route-resolver', 'handle', {}, function(err, result) {
+      expect(err).to.not.be.ok;
+      expect(result).to.equal(null);
+      expect(called).to.deep.equal(['first', 'second']);
+      done();
+    });
+  });
+
+  it('returns undefined when no service returns a result', function() {
+    function Handler() {}
+    Handler.prototype.handle = function(context) {
+      return Promise.resolve();
+    };
+    var scoped = scope('', {}, {
+      'shape-handler': [Handler, Handler]
+    });
+
+    return scoped.callServiceForFirstResult('shape-handler', 'handle', {})
+      .then(function(result) {
+        expect(result).to.be.undefined;
+      });
+  });
+
+  it('wires up static event handlers declared by services', function() {
+    var received = [];
+    function ServiceClass() {}
+    ServiceClass.on = {
+      'something-happened': function(scope, payload) {
+        received.push([scope.scopeName, payload]);
+      }
+    };
+    var scoped = scope('the-scope', {}, {
+      service: [ServiceClass]
+    });
+
+    var handled = scoped.emit('something-happened', 'payload');
+
+    expect(handled).to.be.true;
+    expect(received).to.deep.equal([['the-scope', 'payload']]);
+    expect(scoped.emit('nothing-happened')).to.be.false;
+  });
+
+  it('adds and removes event handlers', function() {
+    var received = [];
+    var scoped = scope('', {}, {});
+    function handler(one, two) {
+      received.push('handler:' + one + two);
+    }
+    scoped.on('event', handler);
+    scoped.once('event', function(one, two) {
+      received.push('once:' + one + two);
+    });
+
+    scoped.emit('event', 'a', 'b');
+    scoped.emit('event', 'c', 'd');
+    scoped.off('event', handler);
+    scoped.emit('event', 'e', 'f');
+
+    expect(received).to.deep.equal(['handler:ab', 'once:ab', 'handler:cd']);
+  });
+
+  it('leaves event emitter methods alone', function() {
+    var EventEmitter = require('events').EventEmitter;
+    var emitter = new EventEmitter();
+    var on = emitter.on;
+    var received = null;
+    function ServiceClass() {}
+    ServiceClass.on = {
+      event: function(scope, payload) {
+        received = payload;
+      }
+    };
+    scope('', emitter, {
+      service: [ServiceClass]
+    });
+
+    emitter.emit('event', 'payload');
+
+    expect(emitter.on).to.equal(on);
+    expect(received).to.equal('payload');
+  });
+
+  it('bubbles events to the parent scope if asked to', function() {
+    var received = [];
+    var parent = scope('parent', {}, {});
+    parent.on('event', function(payload) {
+      received.push('parent:' + payload);
+    });
+    var child = parent.makeSubScope('child', {});
+    child.on('event', function(payload) {
+      received.push('child:' + payload);
+    });
+
+    child.emit('event', 'not bubbled');
+    child.bubbleEvents = true;
+    var handled = child.emit('event', 'bubbled');
+
+    expect(handled).to.be.true;
+    expect(received).to.deep.equal([
+      'child:not bubbled',
+      'child:bubbled', 'parent:bubbled'
+    ]);
+  });
+
+  it('calls the static handlers of services once when events bubble', function() {
+    var received = [];
+    var Service = {
+      on: {
+        'page-rendered': function(scope) {
+          received.push(scope.name);
+        }
+      }
+    };
+    var shell = scope('shell', {name: 'shell'}, {
+      service: [Service]
+    });
+    var request = shell.makeSubScope('request', {name: 'request', bubbleEvents: true});
+
+    request.emit('page-rendered');
+    shell.emit('page-rendered');
+
+    expect(received).to.deep.equal(['request', 'shell']);
+  });
+
+  it("removes the services' event handlers when the scope is disposed of", function(done) {
+    var EventEmitter = require('events').EventEmitter;
+    var received = [];
+    function ServiceClass() {}
+    ServiceClass.on = {
+      event: function(scope, payload) {
+        received.push(payload);
+      }
+    };
+    var emitter = new EventEmitter();
+    emitter.on('event', function(payload) {
+      received.push('app:' + payload);
+    });
+    var scoped = scope('', emitter, {
+      service: [ServiceClass]
+    });
+    scoped.emit('event', 'before');
+
+    scoped.dispose(function() {
+      scoped.emit('event', 'after');
+      expect(received).to.deep.equal(['app:before', 'before', 'app:after']);
+      done();
+    });
+  });
+
+  it('registers values', function(done) {
+    var disposed = false;
+    function value() {}
+    value.dispose = function() {
+      disposed = true;
+    };
+    var scoped = scope('', {}, {});
+    scoped.registerValue('value', value);
+
+    expect(scoped.require('value')).to.equal(value);
+    expect(scoped.getServices('value')).to.deep.equal([value]);
+    scoped.dispose(function() {
+      expect(disposed).to.be.false;
+      done();
+    });
+  });
+
+  it('registers factories', function(done) {
+    var disposed = 0;
+    var initializedWith = null;
+    function makeService(scope, options) {
+      return {
+        scope: scope,
+        options: options,
+        dispose: function() {disposed++;}
+      };
+    }
+    makeService.init = function(scope) {
+      initializedWith = scope;
+    };
+    function makeTransient() {
+      return {};
+    }
+    makeTransient.transient = true;
+    var scoped = scope('the-scope', {}, {});
+    scoped.initialize();
+    scoped
+      .registerFactory('service', makeService)
+      .registerFactory('transient', makeTransient);
+    var options = {};
+
+    var instance = scoped.require('service', options);
+
+    expect(initializedWith).to.equal(scoped);
+    expect(instance.scope).to.equal(scoped);
+    expect(instance.options).to.equal(options);
+    expect(scoped.require('service')).to.equal(instance);
+    expect(scoped.getServices('service')[0]).to.equal(instance);
+    expect(scoped.require('transient')).to.not.equal(scoped.require('transient'));
+    scoped.dispose(function() {
+      expect(disposed).to.equal(1);
+      done();
+    });
+  });
+
+  it('resolves scoped factories from the right scope', function() {
+    function makeService(scope) {
+      return {scope: scope};
+    }
+    makeService.scope = 'shell';
+    var shell = scope('shell', {}, {});
+    shell.registerFactory('service', makeService);
+    var request = shell.makeSubScope('request', {});
+
+    var instance = request.require('service');
+
+    expect(instance.scope).to.equal(shell);
+    expect(shell.require('service')).to.equal(instance);
+  });
+
+  it('registers aliases', function() {
+    function FirstLevelCache() {}
+    function SecondLevelCache() {}
+    function OtherCache() {}
+    var scoped = scope('', {}, {
+      'local-cache': [FirstLevelCache, SecondLevelCache],
+      cache: [OtherCache]
+    });
+    scoped.registerAlias('cache', 'local-cache');
+
+    var instance = scoped.require('cache');
+    var instances = scoped.getServices('cache');
+
+    expect(instance).to.be.an.instanceOf(SecondLevelCache);
+    expect(instance).to.equal(scoped.require('local-cache'));
+    expect(instances.length).to.equal(3);
+    expect(instances[0]).to.be.an.instanceOf(OtherCache);
+    expect(instances[1]).to.be.an.instanceOf(FirstLevelCache);
+    expect(instances[2]).to.equal(instance);
+  });
+
+  it('detects circular aliases', function() {
+    var scoped = scope('', {}, {});
+    scoped.registerAlias('a', 'b');
+    scoped.registerAlias('b', 'a');
+
+    expect(function() {
+      scoped.require('a');
+    }).to.throw(/Circular dependency detected: a -> b -> a/);
+  });
+
+  it('unregisters services, and disposes of their instances', function(done) {
+    var disposed = [];
+    var received = [];
+    function First() {}
+    First.prototype.dispose = function() {
+      disposed.push('first');
+    };
+    First.on = {
+      event: function() {
+        received.push('first');
+      }
+    };
+    function Second() {}
+    function Third() {}
+    var scoped = scope('', {}, {
+      service: [First, Second, Third]
+    });
+    var instances = scoped.getServices('service');
+
+    scoped.unregister('service', First, function(err) {
+      expect(err).to.not.be.ok;
+      expect(disposed).to.deep.equal(['first']);
+      expect(scoped.services.service).to.deep.equal([Second, Third]);
+      var newInstances = scoped.getServices('service');
+      expect(newInstances).to.deep.equal([instances[1], instances[2]]);
+      scoped.emit('event');
+      expect(received).to.be.empty;
+      done();
+    });
+  });
+
+  it('unregisters services from sub-scopes', function(done) {
+    var disposed = [];
+    function ShellService() {}
+    ShellService.scope = 'shell';
+    ShellService.prototype.dispose = function() {
+      disposed.push('shell');
+    };
+    function RequestService() {}
+    RequestService.scope = 'request';
+    RequestService.prototype.dispose = function() {
+      disposed.push('request');
+    };
+    function OtherService() {}
+    OtherService.scope = 'request';
+    var shell = scope('shell', {}, {
+      service: [ShellService, RequestService, OtherService]
+    });
+    var request = shell.makeSubScope('request', {});
+    var other = request.getServices('service')[2];
+
+    shell.unregister('service', RequestService, function() {
+      expect(disposed).to.deep.equal(['request']);
+      var instances = request.getServices('service');
+      expect(instances.length).to.equal(2);
+      expect(instances[0]).to.be.an.instanceOf(ShellService);
+      expect(instances[1]).to.equal(other);
+      done();
+    });
+  });
+
+  it('unregisters values from the value', function() {
+    var value = {};
+    var scoped = scope('', {}, {});
+    scoped.registerValue('value', value);
+
+    scoped.unregister('value', value);
+
+    expect(scoped.require('value')).to.not.be.ok;
+  });
+
+  it('replaces services', function(done) {
+    var disposed = [];
+    var initialized = [];
+    function First() {}
+    function Old() {}
+    Old.prototype.dispose = function() {
+      disposed.push('old');
+    };
+    function New() {}
+    New.init = function(scope) {
+      initialized.push(scope.scopeName);
+    };
+    function Last() {}
+    var shell = scope('shell', {}, {
+      service: [First, Old, Last]
+    });
+    var request = shell.makeSubScope('request', {});
+    var instances = request.getServices('service');
+
+    shell.replace('service', Old, New, function(err) {
+      expect(err).to.not.be.ok;
+      expect(disposed).to.deep.equal(['old']);
+      expect(initialized).to.deep.equal(['shell', 'request']);
+      var newInstances = request.getServices('service');
+      expect(newInstances[0]).to.equal(instances[0]);
+      expect(newInstances[1]).to.be.an.instanceOf(New);
+      expect(newInstances[2]).to.equal(instances[2]);
+      expect(request.require('service')).to.equal(instances[2]);
+      done();
+    });
+  });
+
+  it('does not initialize replacements whose required features are not enabled', function(done) {
+    var initialized = [];
+    var received = [];
+    function Old() {}
+    function New() {}
+    New.requires = ['search'];
+    New.init = function(scope) {
+      initialized.push(scope.scopeName);
+    };
+    New.on = {
+      event: function(scope) {
+        received.push(scope.scopeName);
+      }
+    };
+    var shell = scope('shell', {}, {
+      service: [Old]
+    });
+
+    shell.replace('service', Old, New, function(err) {
+      expect(err).to.not.be.ok;
+      shell.emit('event');
+      expect(initialized).to.deep.equal([]);
+      expect(received).to.deep.equal([]);
+      expect(shell.require('service')).to.be.null;
+      done();
+    });
+  });
+
+  it('keeps registrations on a sub-scope invisible to its parent and siblings', function() {
+    function ShellCache() {}
+    ShellCache.scope = 'shell';
+    function RequestCache() {}
+    RequestCache.scope = 'request';
+    var services = {
+      cache: [ShellCache]
+    };
+    var shell = scope('shell', {}, services);
+    var request1 = shell.makeSubScope('request', {});
+    var request2 = shell.makeSubScope('request', {});
+
+    request1.register('cache', RequestCache);
+
+    expect(services.cache).to.deep.equal([ShellCache]);
+    expect(shell.services.cache).to.deep.equal([ShellCache]);
+    expect(request2.services.cache).to.deep.equal([ShellCache]);
+    expect(request1.services.cache).to.deep.equal([ShellCache, RequestCache]);
+    expect(request1.require('cache')).to.be.an.instanceOf(RequestCache);
+    expect(request2.require('cache')).to.be.an.instanceOf(ShellCache);
+    expect(shell.require('cache')).to.equal(request2.require('cache'));
+    expect(request1.getServices('cache')[0]).to.equal(shell.require('cache'));
+  });
+
+  it('keeps registrations on scopes built from the same services isolated', function() {
+    function Localization() {}
+    function DbLocalization() {}
+    var services = {
+      localization: [Localization]
+    };
+    var site1 = scope('shell', {}, services);
+    var site2 = scope('shell', {}, services);
+
+    site1.register('localization', DbLocalization);
+    site2.unregister('localization', Localization);
+
+    expect(services.localization).to.deep.equal([Localization]);
+    expect(site1.getServices('localization').length).to.equal(2);
+    expect(site2.getServices('localization')).to.be.empty;
+  });
+
+  it('propagates unregistrations to sub-scopes that have their own registrations', function() {
+    function First() {}
+    First.transient = true;
+    function Second() {}
+    Second.transient = true;
+    function Added() {}
+    Added.transient = true;
+    var shell = scope('shell', {}, {
+      service: [First, Second]
+    });
+    var request = shell.makeSubScope('request', {});
+    request.register('service', Added);
+
+    shell.unregister('service', First);
+
+    expect(shell.services.service).to.deep.equal([Second]);
+    expect(request.services.service).to.deep.equal([Second, Added]);
+  });
+
+  it('injects null for missing dependencies outside of strict mode', function() {
+    function ServiceClass(missing) {
+      this.missing = missing;
+    }
+    ServiceClass.inject = ['missing'];
+    var scoped = scope('', {}, {
+      service: [ServiceClass]
+    });
+
+    expect(scoped.require('service').missing).to.be.null;
+  });
+
+  it('throws on missing dependencies in strict mode', function() {
+    function SearchEngine(indexProvider) {
+      this.indexProvider = indexProvider;
+    }
+    SearchEngine.inject = ['index-provider'];
+    SearchEngine.scope = 'request';
+    var shell = scope('shell', {}, {
+      'search-engine': [SearchEngine]
+    });
+    shell.strict = true;
+    var request = shell.makeSubScope('request', {});
+
+    expect(function() {
+      request.require('search-engine');
+    }).to.throw(
+      "Missing dependency: search-engine requires index-provider, which couldn't be found" +
+      " on scope 'request'. Register an implementation of index-provider, or mark the" +
+      " dependency as optional with '?index-provider'.");
+  });
+
+  it('throws on missing property dependencies in strict mode', function() {
+    var service = {
+      injectProperties: {
+        cache: 'cache'
+      }
+    };
+    var scoped = scope('the-scope', {}, {
+      service: [service]
+    });
+    scoped.strict = true;
+
+    expect(function() {
+      scoped.require('service');
+    }).to.throw(/Missing dependency: service requires cache/);
+  });
+
+  it('lets sub-scopes opt out of strict mode', function() {
+    function ServiceClass(missing) {
+      this.missing = missing;
+    }
+    ServiceClass.inject = ['missing'];
+    var shell = scope('shell', {}, {
+      service: [ServiceClass]
+    });
+    shell.strict = true;
+    var request = shell.makeSubScope('request', {});
+    request.strict = false;
+
+    expect(request.require('service').missing).to.be.null;
+  });
+
+  it('injects null for missing optional dependencies in strict mode', function() {
+    function Cache() {}
+    function ServiceClass(cache, logger) {
+      this.cache = cache;
+      this.logger = logger;
+    }
+    ServiceClass.inject = ['?cache', '?logger'];
+    ServiceClass.injectProperties = {
+      otherCache: '?cache',
+      otherLogger: '?logger'
+    };
+    var scoped = scope('', {}, {
+      service: [ServiceClass],
+      cache: [Cache]
+    });
+    scoped.strict = true;
+
+    var instance = scoped.require('service');
+
+    expect(instance.cache).to.be.an.instanceOf(Cache);
+    expect(instance.logger).to.be.null;
+    expect(instance.otherCache).to.equal(instance.cache);
+    expect(instance.otherLogger).to.be.null;
+  });
+
+  it('validates a healthy scope', function() {
+    function Cache() {}
+    Cache.scope = 'shell';
+    function Renderer(cache) {
+      this.cache = cache;
+    }
+    Renderer.inject = ['cache', '?logger'];
+    Renderer.scope = 'request';
+    var shell = scope('shell', {}, {
+      cache: [Cache],
+      renderer: [Renderer]
+    });
+
+    var report = shell.validate(['shell', 'request']);
+
+    expect(report).to.deep.equal({
+      valid: true,
+      scope: 'shell',
+      hierarchy: ['shell', 'request'],
+      problems: []
+    });
+  });
+
+  it('reports missing dependencies and unknown scopes', function() {
+    function SearchEngine() {}
+    SearchEngine.inject = ['index-provider'];
+    SearchEngine.scope = 'tenant';
+    var shell = scope('shell', {}, {
+      'search-engine': [SearchEngine]
+    });
+    shell.registerAlias('search', 'finder');
+
+    var report = shell.validate(['shell']);
+
+    expect(report.valid).to.be.false;
+    expect(report.hierarchy).to.deep.equal(['shell']);
+    expect(report.problems).to.deep.equal([
+      {
+        type: 'unknown-scope',
+        service: 'search-engine',
+        implementation: 'SearchEngine',
+        scope: 'tenant',
+        message: "SearchEngine (search-engine) is scoped to 'tenant', which is not in the scope hierarchy shell."
+      },
+      {
+        type: 'missing-dependency',
+        service: 'search-engine',
+        implementation: 'SearchEngine',
+        dependency: 'index-provider',
+        message: 'SearchEngine (search-engine) requires index-provider, which has no implementation.'
+      },
+      {
+        type: 'missing-dependency',
+        service: 'search',
+        implementation: 'search[0]',
+        dependency: 'finder',
+        message: 'search is an alias of finder, which has no implementation.'
+      }
+    ]);
+  });
+
+  it('reports circular dependencies without instantiating services', function() {
+    var constructed = false;
+    function ShapeHandler() {
+      constructed = true;
+    }
+    ShapeHandler.inject = ['renderer'];
+    function Renderer() {
+      constructed = true;
+    }
+    Renderer.injectProperties = {handler: 'shape-handler'};
+    function First() {}
+    First.after = [Second];
+    function Second() {}
+    Second.after = [First];
+    var scoped = scope('', {}, {
+      'shape-handler': [ShapeHandler],
+      renderer: [Renderer],
+      ordered: [First, Second]
+    });
+
+    var problems = scoped.validate().problems;
+
+    expect(constructed).to.be.false;
+    expect(problems.length).to.equal(2);
+    expect(problems[0].type).to.equal('circular-ordering');
+    expect(problems[0].service).to.equal('ordered');
+    expect(problems[1]).to.deep.equal({
+      type: 'circular-dependency',
+      service: 'shape-handler',
+      path: ['shape-handler', 'renderer', 'shape-handler'],
+      message: 'Circular dependency detected: shape-handler -> renderer -> shape-handler.'
+    });
+  });
+
+  it('reports captive dependencies', function() {
+    function ContentCache(request) {
+      this.request = request;
+    }
+    ContentCache.inject = ['request-info'];
+    ContentCache.scope = 'shell';
+    function RequestInfo() {}
+    RequestInfo.scope = 'request';
+    var shell = scope('shell', {}, {
+      'content-cache': [ContentCache],
+      'request-info': [RequestInfo]
+    });
+
+    var problems = shell.validate(['shell', 'request']).problems;
+
+    expect(problems).to.deep.equal([{
+      type: 'captive-dependency',
+      service: 'content-cache',
+      implementation: 'ContentCache',
+      dependency: 'request-info',
+      scope: 'shell',
+      message: "ContentCache (content-cache) is a singleton scoped to 'shell', but injects request-info," +
+        " which is scoped to the shorter-lived 'request'."
+    }]);
+  });
+
+  it('assumes unknown scopes are sub-scopes when validating with the default hierarchy', function() {
+    function ContentCache(request) {
+      this.request = request;
+    }
+    ContentCache.inject = ['request-info'];
+    ContentCache.scope = 'shell';
+    function RequestInfo() {}
+    RequestInfo.scope = 'request';
+    function Page(requestInfo) {
+      this.requestInfo = requestInfo;
+    }
+    Page.inject = ['request-info'];
+    Page.scope = 'request';
+    var shell = scope('shell', {}, {
+      'content-cache': [ContentCache],
+      'request-info': [RequestInfo],
+      page: [Page]
+    });
+
+    var report = shell.validate();
+
+    expect(report.hierarchy).to.deep.equal(['shell']);
+    expect(report.problems).to.deep.equal([{
+      type: 'captive-dependency',
+      service: 'content-cache',
+      implementation: 'ContentCache',
+      dependency: 'request-info',
+      scope: 'shell',
+      message: "ContentCache (content-cache) is a singleton scoped to 'shell', but injects request-info," +
+        " which is scoped to the shorter-lived 'request'."
+    }]);
+    shell.unregister('content-cache', ContentCache);
+    expect(shell.validate().valid).to.be.true;
+  });
+
+  it('throws when a singleton injects a shorter-lived service', function() {
+    function ContentCache(requestInfo) {
+      this.requestInfo = requestInfo;
+    }
+    ContentCache.inject = ['request-info'];
+    ContentCache.scope = 'shell';
+    function RequestInfo() {}
+    RequestInfo.scope = 'request';
+    RequestInfo.transient = true;
+    var shell = scope('shell', {}, {
+      'content-cache': [ContentCache],
+      'request-info': [RequestInfo]
+    });
+    var request = shell.makeSubScope('request', {});
+
+    expect(function() {
+      request.require('content-cache');
+    }).to.throw(
+      "Lifetime mismatch: content-cache is a singleton on scope 'shell', but injects" +
+      " request-info, which is scoped to 'request' and would outlive it. Make content-cache" +
+      " transient or shorter-lived, or set captiveDependencies to 'proxy' on the scope to" +
+      " inject a proxy that resolves request-info from the current scope.");
+  });
+
+  it('lets transient services inject shorter-lived services', function() {
+    function Helper(requestInfo) {
+      this.requestInfo = requestInfo;
+    }
+    Helper.inject = ['request-info'];
+    Helper.transient = true;
+    function RequestInfo() {}
+    RequestInfo.scope = 'request';
+    var shell = scope('shell', {}, {
+      helper: [Helper],
+      'request-info': [RequestInfo]
+    });
+    var request = shell.makeSubScope('request', {});
+
+    expect(request.require('helper').requestInfo)
+      .to.equal(request.require('request-info'));
+  });
+
+  it('injects proxies that resolve captive dependencies from the current scope', function(done) {
+    function ContentCache(requestInfo) {
+      this.requestInfo = requestInfo;
+    }
+    ContentCache.inject = ['request-info'];
+    ContentCache.scope = 'shell';
+    ContentCache.prototype.getUrl = function() {
+      return this.requestInfo.getUrl();
+    };
+    function RequestInfo(scope) {
+      this.url = scope.url;
+    }
+    RequestInfo.scope = 'request';
+    RequestInfo.prototype.getUrl = function() {
+      return this.url;
+    };
+    var shell = scope('shell', {}, {
+      'content-cache': [ContentCache],
+      'request-info': [RequestInfo]
+    });
+    shell.captiveDependencies = 'proxy';
+    var request1 = shell.makeSubScope('request', {url: '/one'});
+    var request2 = shell.makeSubScope('request', {url: '/two'});
+    var cache = request1.require('content-cache');
+
+    expect(request2.require('content-cache')).to.equal(cache);
+    expect(function() {
+      cache.getUrl();
+    }).to.throw(/there is no current scope/);
+    request1.run(function() {
+      setTimeout(function() {
+        expect(cache.getUrl()).to.equal('/one');
+        expect(cache.requestInfo.url).to.equal('/one');
+        request2.run(function() {
+          expect(cache.getUrl()).to.equal('/two');
+          done();
+        });
+      }, 1);
+    });
+  });
+
+  it('injects lazy dependencies that are resolved on first access', function() {
+    var constructed = 0;
+    function Cache() {
+      constructed++;
+    }
+    function ServiceClass(getCache) {
+      this.getCache = getCache;
+    }
+    ServiceClass.inject = ['lazy:cache'];
+    ServiceClass.injectProperties = {cache: 'lazy:cache'};
+    var scoped = scope('', {}, {
+      service: [ServiceClass],
+      cache: [Cache]
+    });
+
+    var instance = scoped.require('service');
+
+    expect(constructed).to.equal(0);
+    expect(instance.cache).to.be.an.instanceOf(Cache);
+    expect(instance.getCache()).to.equal(instance.cache);
+    expect(constructed).to.equal(1);
+    instance.cache = 'overridden';
+    expect(instance.cache).to.equal('overridden');
+  });
+
+  it('injects providers that resolve a dependency on each call', function() {
+    function Connection(scope, options) {
+      this.options = options;
+    }
+    Connection.transient = true;
+    function ServiceClass(connect) {
+      this.connect = connect;
+    }
+    ServiceClass.inject = ['provider:connection'];
+    ServiceClass.injectProperties = {connectAgain: 'provider:connection'};
+    var scoped = scope('', {}, {
+      service: [ServiceClass],
+      connection: [Connection]
+    });
+    var options = {host: 'localhost'};
+
+    var instance = scoped.require('service');
+    var connection1 = instance.connect(options);
+    var connection2 = instance.connectAgain();
+
+    expect(connection1).to.be.an.instanceOf(Connection);
+    expect(connection1.options).to.equal(options);
+    expect(connection2).to.be.an.instanceOf(Connection);
+    expect(connection2).to.not.equal(connection1);
+  });
+
+  it('injects all the instances of a dependency', function() {
+    function CircleHandler() {}
+    function SquareHandler() {}
+    function Renderer(handlers) {
+      this.handlers = handlers;
+    }
+    Renderer.inject = ['all:shape-handler'];
+    Renderer.injectProperties = {
+      sameHandlers: 'all:shape-handler',
+      noHandlers: 'all:missing-handler'
+    };
+    var scoped = scope('', {}, {
+      renderer: [Renderer],
+      'shape-handler': [CircleHandler, SquareHandler]
+    });
+    scoped.strict = true;
+
+    var renderer = scoped.require('renderer');
+
+    expect(renderer.handlers).to.have.length(2);
+    expect(renderer.handlers[0]).to.be.an.instanceOf(CircleHandler);
+    expect(renderer.handlers[1]).to.be.an.instanceOf(SquareHandler);
+    expect(renderer.sameHandlers).to.deep.equal(renderer.handlers);
+    expect(renderer.noHandlers).to.deep.equal([]);
+  });
+
+  it('lets lazy dependencies break circular dependencies', function() {
+    function Parent(child) {
+      this.child = child;
+    }
+    Parent.inject = ['child'];
+    function Child() {}
+    Child.injectProperties = {parent: 'lazy:parent'};
+    var scoped = scope('', {}, {
+      parent: [Parent],
+      child: [Child]
+    });
+    scoped.strict = true;
+
+    var parent = scoped.require('parent');
+
+    expect(parent.child.parent).to.equal(parent);
+    expect(scoped.validate().valid).to.be.true;
+  });
+
+  it('throws on missing lazy and provider dependencies in strict mode', function() {
+    function ServiceClass() {}
+    ServiceClass.inject = ['?provider:logger', 'provider:?logger', 'lazy:cache'];
+    var scoped = scope('', {}, {
+      service: [ServiceClass]
+    });
+    scoped.strict = true;
+
+    expect(function() {
+      scoped.require('service');
+    }).to.throw(
+      "Missing dependency: service requires cache, which couldn't be found on scope ''. " +
+      "Register an implementation of cache, or mark the dependency as optional with '?cache'.");
+  });
+
+  it('requires implementations by key', function() {
+    function PoLocalizationProvider() {}
+    PoLocalizationProvider.key = 'po';
+    function JsonLocalizationProvider() {}
+    JsonLocalizationProvider.key = 'json';
+    function createResxProvider() {
+      return {format: 'resx'};
+    }
+    createResxProvider.key = 'resx';
+    var xliffProvider = {format: 'xliff'};
+    var scoped = scope('', {}, {
+      localization: [PoLocalizationProvider, JsonLocalizationProvider]
+    });
+    scoped.registerFactory('localization', createResxProvider);
+    scoped.registerValue('localization', xliffProvider, {key: 'xliff'});
+
+    expect(scoped.require('localization', null, {key: 'po'}))
+      .to.be.an.instanceOf(PoLocalizationProvider);
+    expect(scoped.require('localization', null, {key: 'json'}))
+      .to.be.an.instanceOf(JsonLocalizationProvider);
+    expect(scoped.require('localization', null, {key: 'resx'}).format).to.equal('resx');
+    expect(scoped.require('localization', null, {key: 'xliff'})).to.equal(xliffProvider);
+    expect(scoped.require('localization', null, {key: 'mo'})).to.be.null;
+    expect(scoped.require('localization')).to.equal(xliffProvider);
+  });
+
+  it('gets services by tag', function() {
+    function CircleHandler() {}
+    CircleHandler.tags = ['svg', 'canvas'];
+    function SquareHandler() {}
+    SquareHandler.tags = ['canvas'];
+    function TriangleHandler() {}
+    var scoped = scope('', {}, {
+      'shape-handler': [CircleHandler, SquareHandler, TriangleHandler],
+      'canvas-handler': []
+    });
+    scoped.registerAlias('canvas-handler', 'shape-handler');
+
+    var svgHandlers = scoped.getServices('shape-handler', null, {tag: 'svg'});
+    var canvasHandlers = scoped.getServices('canvas-handler', null, {tag: 'canvas'});
+
+    expect(svgHandlers).to.have.length(1);
+    expect(svgHandlers[0]).to.be.an.instanceOf(CircleHandler);
+    expect(canvasHandlers).to.have.length(2);
+    expect(canvasHandlers[0]).to.be.an.instanceOf(CircleHandler);
+    expect(canvasHandlers[1]).to.be.an.instanceOf(SquareHandler);
+    expect(scoped.require('shape-handler', null, {tag: 'canvas'}))
+      .to.be.an.instanceOf(SquareHandler);
+  });
+
+  it('passes options that have key or tag properties to constructors', function() {
+    function Cache(scope, options) {
+      this.options = options;
+    }
+    Cache.transient = true;
+    Cache.key = 'memory';
+    var scoped = scope('', {}, {
+      cache: [Cache]
+    });
+
+    expect(scoped.require('cache', {key: 'user-42'}).options).to.deep.equal({key: 'user-42'});
+    expect(scoped.getServices('cache', {tag: 'x'})).to.have.length(1);
+    expect(scoped.require('cache', {key: 'user-42'}, {key: 'memory'}).options)
+      .to.deep.equal({key: 'user-42'});
+  });
+
+  it('injects implementations selected by key and tag', function() {
+    function PoLocalizationProvider() {}
+    PoLocalizationProvider.key = 'po';
+    function JsonLocalizationProvider() {}
+    JsonLocalizationProvider.key = 'json';
+    function CircleHandler() {}
+    CircleHandler.tags = ['svg'];
+    function SquareHandler() {}
+    function Renderer(localization, svgHandlers, getLocalization) {
+      this.localization = localization;
+      this.svgHandlers = svgHandlers;
+      this.getLocalization = getLocalization;
+    }
+    Renderer.inject = ['localization#po', 'all:shape-handler@svg', 'provider:localization#json'];
+    Renderer.injectProperties = {missing: '?localization#mo'};
+    var scoped = scope('', {}, {
+      renderer: [Renderer],
+      localization: [PoLocalizationProvider, JsonLocalizationProvider],
+      'shape-handler': [CircleHandler, SquareHandler]
+    });
+    scoped.strict = true;
+
+    var renderer = scoped.require('renderer');
+
+    expect(renderer.localization).to.be.an.instanceOf(PoLocalizationProvider);
+    expect(renderer.svgHandlers).to.have.length(1);
+    expect(renderer.svgHandlers[0]).to.be.an.instanceOf(CircleHandler);
+    expect(renderer.getLocalization()).to.be.an.instanceOf(JsonLocalizationProvider);
+    expect(renderer.missing).to.be.null;
+    Renderer.injectProperties = {missing: 'localization#mo'};
+    expect(scoped.validate().problems[0].message)
+      .to.equal('Renderer (renderer) requires localization#mo, which has no implementation.');
+    expect(function() {
+      var strictScope = scope('', {}, {
+        renderer: [Renderer],
+        localization: [PoLocalizationProvider, JsonLocalizationProvider],
+        'shape-handler': [CircleHandler, SquareHandler]
+      });
+      strictScope.strict = true;
+      strictScope.require('renderer');
+    }).to.throw(/^Missing dependency: renderer requires localization#mo,/);
+  });
+
+  it('only uses services whose required features are enabled', function(done) {
+    var initialized = [];
+    function LuceneIndex() {}
+    LuceneIndex.requires = ['search', 'lucene'];
+    LuceneIndex.init = function() {
+      initialized.push('lucene');
+    };
+    LuceneIndex.prototype.index = function(options, done) {
+      options.indexed.push('lucene');
+      done();
+    };
+    function MemoryIndex() {}
+    MemoryIndex.requires = ['search'];
+    MemoryIndex.init = function() {
+      initialized.push('memory');
+    };
+    MemoryIndex.prototype.index = function(options, done) {
+      options.indexed.push('memory');
+      done();
+    };
+    var shell = scope('shell', {features: ['search']}, {
+      index: [MemoryIndex, LuceneIndex]
+    });
+    var request = shell.makeSubScope('request', {features: []});
+    var options = {indexed: []};
+
+    expect(initialized).to.deep.equal(['memory']);
+    expect(shell.require('index')).to.be.an.instanceOf(MemoryIndex);
+    expect(shell.getServices('index')).to.have.length(1);
+    expect(request.require('index')).to.be.null;
+    expect(request.getServices('index')).to.deep.equal([]);
+    shell.features = ['search', 'lucene'];
+    expect(shell.require('index')).to.be.an.instanceOf(LuceneIndex);
+    shell.callService('index', 'index', options, function() {
+      expect(options.indexed).to.deep.equal(['memory', 'lucene']);
+      done();
+    });
+  });
+
+  it('evaluates enabledWhen predicates for each scope', function() {
+    function Comments() {}
+    Comments.scope = 'site';
+    Comments.enabledWhen = function(scope) {
+      return !!scope.settings && scope.settings.comments === true;
+    };
+    function createModeration() {
+      return {moderated: true};
+    }
+    createModeration.enabledWhen = Comments.enabledWhen;
+    function Page(comments) {
+      this.comments = comments;
+    }
+    Page.inject = ['?comments'];
+    Page.transient = true;
+    var shell = scope('shell', {}, {
+      comments: [Comments],
+      page: [Page]
+    });
+    shell.registerFactory('moderation', createModeration);
+    var blog = shell.makeSubScope('site', {settings: {comments: true}});
+    var docs = shell.makeSubScope('site', {settings: {comments: false}});
+
+    expect(blog.require('page').comments).to.be.an.instanceOf(Comments);
+    expect(blog.require('moderation').moderated).to.be.true;
+    expect(docs.require('page').comments).to.be.null;
+    expect(docs.require('moderation')).to.be.null;
+    expect(docs.validate().valid).to.be.true;
+  });
+
+  it('combines configured options with the options of the caller', function() {
+    function SearchIndex(scope, options) {
+      this.options = options;
+    }
+    SearchIndex.transient = true;
+    function SearchEngine(index) {
+      this.index = index;
+    }
+    SearchEngine.inject = ['search-index'];
+    SearchEngine.transient = true;
+    function createQueryParser(scope, options) {
+      return {options: options};
+    }
+    createQueryParser.transient = true;
+    var shell = scope('shell', {}, {
+      'search-index': [SearchIndex],
+      'search-engine': [SearchEngine]
+    });
+    shell.configure('search-index', {language: 'en', pageSize: 10});
+    shell.registerFactory('query-parser', createQueryParser, {syntax: 'lucene'});
+    var request = shell.makeSubScope('request', {});
+    request.configure('search-index', {pageSize: 20});
+
+    expect(shell.require('search-index').options)
+      .to.deep.equal({language: 'en', pageSize: 10});
+    expect(request.require('search-index', {sort: 'date'}).options)
+      .to.deep.equal({language: 'en', pageSize: 20, sort: 'date'});
+    expect(request.require('search-index', {pageSize: 5}).options.pageSize).to.equal(5);
+    expect(request.require('search-engine').index.options)
+      .to.deep.equal({language: 'en', pageSize: 20});
+    expect(request.require('query-parser').options).to.deep.equal({syntax: 'lucene'});
+  });
+
+  it('builds singletons with the options configured on the scope that owns them', function() {
+    function SearchIndex(scope, options) {
+      this.options = options;
+    }
+    SearchIndex.scope = 'shell';
+    var shell = scope('shell', {}, {
+      'search-index': [SearchIndex]
+    });
+    shell.configure('search-index', {language: 'en'});
+    var request = shell.makeSubScope('request', {});
+    request.configure('search-index', {language: 'fr'});
+
+    expect(request.require('search-index').options).to.deep.equal({language: 'en'});
+  });
+
+  it('warns once when a singleton is required again with different options', function() {
+    function SearchIndex(scope, options) {
+      this.options = options;
+    }
+    var shell = scope('shell', {}, {
+      'search-index': [SearchIndex]
+    });
+    var index = shell.require('search-index', {pageSize: 10});
+    var warnings = [];
+    var emitWarning = process.emitWarning;
+    process.emitWarning = function(message, name) {
+      warnings.push({message: message, name: name});
+    };
+    try {
+      expect(shell.require('search-index')).to.equal(index);
+      expect(shell.require('search-index', {pageSize: 10})).to.equal(index);
+      expect(warnings).to.deep.equal([]);
+      expect(shell.require('search-index', {pageSize: 20})).to.equal(index);
+      expect(shell.require('search-index', {pageSize: 20})).to.equal(index);
+    }
+    finally {
+      process.emitWarning = emitWarning;
+    }
+
+    expect(warnings).to.deep.equal([{
+      name: 'OptionsMismatchWarning',
+      message: "Options mismatch: search-index is a singleton that was already built with " +
+        "different options, so the options passed from scope 'shell' are ignored. " +
+        "Configure its options with scope.configure instead, or make search-index transient."
+    }]);
+    shell.strict = true;
+    expect(function() {
+      shell.require('search-index', {pageSize: 30});
+    }).to.throw(/^Options mismatch: search-index is a singleton/);
+  });
+
+  it('sends resolution events to resolve listeners', function() {
+    function Cache() {}
+    Cache.scope = 'shell';
+    function Page(cache) {
+      this.cache = cache;
+    }
+    Page.inject = ['cache'];
+    Page.transient = true;
+    var shell = scope('shell', {}, {
+      cache: [Cache],
+      page: [Page]
+    });
+    var request = shell.makeSubScope('request', {});
+    var events = [];
+    function listener(event) {
+      events.push(event);
+    }
+    shell.onResolve(listener);
+
+    request.require('page');
+
+    expect(events.map(function(event) {
+      return [event.type, event.service, event.implementation, event.scope, event.ownerScope];
+    })).to.deep.equal([
+      ['resolve-start', 'page', 'Page', 'request', undefined],
+      ['resolve-start', 'cache', 'Cache', 'request', undefined],
+      ['cache-miss', 'cache', 'Cache', 'request', 'shell'],
+      ['construct', 'cache', 'Cache', 'shell', undefined],
+      ['resolve-end', 'cache', 'Cache', 'request', undefined],
+      ['construct', 'page', 'Page', 'request', undefined],
+      ['resolve-end', 'page', 'Page', 'request', undefined]
+    ]);
+    expect(events[3].duration).to.be.a('number');
+    expect(events[6].duration).to.be.at.least(events[4].duration);
+
+    events = [];
+    request.require('cache');
+    expect(events[1].type).to.equal('cache-hit');
+    expect(events[1].ownerScope).to.equal('shell');
+
+    events = [];
+    shell.offResolve(listener);
+    request.require('page');
+    expect(events).to.deep.equal([]);
+  });
+
+  it('reports resolve listeners that throw as warnings', function(done) {
+    function Service() {}
+    Service.prototype.method = function(options, next) {
+      setImmediate(next);
+    };
+    var shell = scope('shell', {}, {
+      service: [Service]
+    });
+    shell.onResolve(function(event) {
+      if (event.type === 'resolve-end' || event.type === 'call') {
+        throw new Error('listener failed');
+      }
+    });
+    var warnings = [];
+    var emitWarning = process.emitWarning;
+    process.emitWarning = function(message, name) {
+      warnings.push({message: message, name: name});
+    };
+    var service;
+    var cached;
+    try {
+      service = shell.require('service');
+      cached = shell.require('service');
+    }
+    finally {
+      process.emitWarning = emitWarning;
+    }
+
+    expect(service).to.be.an.instanceOf(Service);
+    expect(cached).to.equal(service);
+    expect(warnings[0]).to.deep.equal({
+      name: 'ResolveListenerWarning',
+      message: 'A resolve listener failed on the resolve-end event for service: listener failed'
+    });
+    process.emitWarning = function() {};
+    shell.callService('service', 'method', {}, function(err) {
+      process.emitWarning = emitWarning;
+      expect(err).to.not.be.ok;
+      done();
+    });
+  });
+
+  it('sends timing events for service calls and lifecycle steps', function(done) {
+    function ServiceClass() {}
+    ServiceClass.prototype.method = function(options, done) {
+      done(options.fail ? new Error('Failed.') : null);
+    };
+    var scoped = scope('', {}, {service: [ServiceClass]});
+    var events = [];
+    scoped.onResolve(function(event) {
+      if (event.type === 'call' || event.type === 'lifecycle-step') events.push(event);
+    });
+    function step(options, done) {done();}
+
+    scoped.callService('service', 'method', {fail: true}, function(err) {
+      expect(err.message).to.equal('Failed.');
+      scoped.lifecycle('service', 'method', step)({}, function() {
+        expect(events.map(function(event) {
+          return [event.type, event.service, event.method, event.implementation, event.step];
+        })).to.deep.equal([
+          ['call', 'service', 'method', 'ServiceClass', undefined],
+          ['lifecycle-step', 'service', 'method', 'ServiceClass', 0],
+          ['lifecycle-step', null, null, 'step', 1]
+        ]);
+        expect(events[0].error.message).to.equal('Failed.');
+        events.forEach(function(event) {
+          expect(event.duration).to.be.a('number');
+        });
+        done();
+      });
+    });
+  });
+
+  it('describes services and their dependencies without instantiating them', function() {
+    var constructed = false;
+    function Index() {constructed = true;}
+    Index.scope = 'shell';
+    function MemoryIndex() {constructed = true;}
+    MemoryIndex.key = 'memory';
+    MemoryIndex.tags = ['fast'];
+    function Search(index) {constructed = true;}
+    Search.inject = ['index#memory'];
+    Search.injectProperties = {parsers: 'all:parser', log: '?lazy:log'};
+    function Parser() {}
+    var shell = scope('shell', {}, {
+      index: [MemoryIndex, Index],
+      search: [Search],
+      parser: [Parser]
+    });
+    shell.registerAlias('finder', 'search');
+    var request = shell.makeSubScope('request', {});
+    request.require('parser');
+
+    var description = request.describe();
+
+    expect(constructed).to.be.false;
+    expect(description.scope).to.equal('request');
+    expect(description.hierarchy).to.deep.equal(['shell', 'request']);
+    expect(description.services.map(function(service) {return service.name;}))
+      .to.deep.equal(['finder', 'index', 'parser', 'request', 'search', 'shell']);
+    var index = description.services[1].implementations;
+    expect(index[0]).to.deep.equal({
+      id: 'index/0', name: 'MemoryIndex', index: 0, kind: 'class',
+      scope: null, transient: false, isStatic: false, enabled: true, selected: false,
+      cachedOn: [], dependencies: [], key: 'memory', tags: ['fast']
+    });
+    expect(index[1].scope).to.equal('shell');
+    expect(index[1].selected).to.be.true;
+    expect(description.services[2].implementations[0].cachedOn).to.deep.equal(['request']);
+    expect(description.services[3].implementations[0].kind).to.equal('scope');
+    expect(description.services[0].implementations[0].aliasOf).to.equal('search');
+    expect(description.services[0].implementations[0].dependencies[0].resolvesTo)
+      .to.deep.equal(['search/0']);
+    expect(description.services[4].implementations[0].dependencies).to.deep.equal([
+      {service: 'index', kind: 'instance', optional: false, key: 'memory', parameter: 0, resolvesTo: ['index/0']},
+      {service: 'parser', kind: 'all', optional: false, property: 'parsers', resolvesTo: ['parser/0']},
+      {service: 'log', kind: 'lazy', optional: true, property: 'log', resolvesTo: []}
+    ]);
+  });
+
+  it('decorates new instances before caching them', function(done) {
+    var disposed = [];
+    function Index() {}
+    Index.scope = 'shell';
+    Index.prototype.dispose = function() {disposed.push('index');};
+    function Query() {}
+    Query.transient = true;
+    var shell = scope('shell', {}, {index: [Index], query: [Query]});
+    shell.decorate('index', function(index, scope) {
+      return {inner: index, decoratedOn: scope.scopeName, decoration: ['shell']};
+    });
+    shell.decorate('index', function(index) {
+      index.decoration.push('shell again');
+    });
+    shell.decorate('query', function(query) {
+      return {inner: query, decoration: ['shell']};
+    });
+    var request = shell.makeSubScope('request', {});
+    request.decorate('index', function() {
+      throw new Error('Request decorators should not apply to shell singletons.');
+    });
+    request.decorate('query', function(query) {
+      query.decoration.push('request');
+    });
+
+    var index = request.require('index');
+    var query = request.require('query');
+
+    expect(index.inner).to.be.an.instanceOf(Index);
+    expect(index.decoratedOn).to.equal('shell');
+    expect(index.decoration).to.deep.equal(['shell', 'shell again']);
+    expect(shell.require('index')).to.equal(index);
+    expect(query.inner).to.be.an.instanceOf(Query);
+    expect(query.decoration).to.deep.equal(['shell', 'request']);
+    shell.dispose(function() {
+      expect(disposed).to.deep.equal(['index']);
+      done();
+    });
+  });
+
+  it('does not decorate static services and values that scopes share', function() {
+    var greeter = {
+      hello: function() {return 'hi';}
+    };
+    var settings = {name: 'site'};
+    var shell = scope('shell', {}, {greeter: [greeter]});
+    shell.registerValue('settings', settings);
+    var decorated = [];
+    shell.decorate('greeter', function(instance) {
+      decorated.push('greeter');
+      var hello = instance.hello;
+      instance.hello = function() {return hello.call(instance) + '!';};
+    });
+    shell.decorate('settings', function() {
+      decorated.push('settings');
+    });
+
+    [1, 2, 3].forEach(function() {
+      var request = shell.makeSubScope('request', {});
+      request.require('greeter');
+      request.require('settings');
+    });
+
+    expect(greeter.hello()).to.equal('hi');
+    expect(decorated).to.deep.equal([]);
+  });
+
+  it('intercepts service calls with before, around, and after functions', function(done) {
+    var log = [];
+    var renderer = {
+      render: function(options, callback) {
+        log.push('render ' + options.name);
+        callback(null, 'rendered ' + options.name);
+      }
+    };
+    var shell = scope('shell', {}, {renderer: [renderer]});
+    shell.intercept('renderer', 'render', {
+      before: function(invocation) {
+        log.push('shell before ' + invocation.service + '.' + invocation.method);
+        invocation.options = {name: invocation.options.name.toUpperCase()};
+      },
+      after: function(invocation) {
+        log.push('shell after');
+        invocation.result += '!';
+      }
+    });
+    var request = shell.makeSubScope('request', {});
+    request.intercept('*', '*', {
+      around: function(invocation, proceed) {
+        log.push('request around');
+        return proceed().then(function(result) {
+          return '[' + result + ']';
+        });
+      }
+    });
+    request.intercept('renderer', 'render', {
+      around: function(invocation, proceed, aroundDone) {
+        log.push('request inner around');
+        proceed(aroundDone);
+      }
+    });
+
+    request.callServiceForResults('renderer', 'render', {name: 'page'}, function(err, results) {
+      expect(err).to.not.be.ok;
+      expect(results).to.deep.equal(['[rendered PAGE]!']);
+      expect(log).to.deep.equal([
+        'shell before renderer.render',
+        'request around',
+        'request inner around',
+        'render PAGE',
+        'shell after'
+      ]);
+      log = [];
+      shell.callServiceForResults('renderer', 'render', {name: 'page'}, function(err, results) {
+        expect(results).to.deep.equal(['rendered PAGE!']);
+        expect(log).to.deep.equal(['shell before renderer.render', 'render PAGE', 'shell after']);
+        done();
+      });
+    });
+  });
+
+  it('intercepts lifecycle steps, and lets around functions skip calls', function(done) {
+    var log = [];
+    var shell = scope('shell', {}, {
+      step: [{
+        run: function(options) {log.push('run');},
+        skip: function(options) {log.push('skip');}
+      }]
+    });
+    shell.intercept('step', 'skip', {
+      around: function(invocation, proceed) {
+        log.push('skipped ' + invocation.method);
+      }
+    });
+    var lifecycle = shell.lifecycle(
+      'step', 'run',
+      'step', 'skip',
+      function adHoc(options) {log.push('ad hoc');}
+    );
+
+    lifecycle({}, function(err) {
+      expect(err).to.not.be.ok;
+      expect(log).to.deep.equal(['run', 'skipped skip', 'ad hoc']);
+      done();
+    });
+  });
+
+  it('fails calls whose interceptors fail', function(done) {
+    var called = false;
+    var shell = scope('shell', {}, {
+      step: [{run: function(options) {called = true;}}]
+    });
+    shell.intercept('step', 'run', {
+      before: function(invocation, beforeDone) {
+        beforeDone(new Error('Forbidden.'));
+      }
+    });
+
+    expect(function() {
+      shell.intercept('step', 'run', {});
+    }).to.throw('The interceptor for step.run must have a before, around, or after function.');
+    shell.callService('step', 'run', {}).catch(function(err) {
+      expect(err.message).to.equal('Forbidden.');
+      expect(called).to.be.false;
+      done();
+    });
+  });
+
+  it('builds lifecycles from named stages that other modules can hook into', function(done) {
+    var log = [];
+    function Step(name) {
+      return {run: function(options) {log.push(name);}};
+    }
+    var scoped = scope('', {}, {
+      placement: [new Step('placement')],
+      handler: [new Step('handler 1'), new Step('handler 2')],
+      rendering: [new Step('rendering')],
+      cache: [new Step('cache')],
+      analytics: [new Step('analytics')]
+    });
+    var builder = scoped.defineLifecycle()
+      .stage('placement')
+        .step('placement', 'run')
+      .stage('handling')
+        .step('handler', 'run')
+        .step(function partialOnly(options) {log.push('partial');}, {
+          when: function(options) {return options.isPartial;}
+        })
+      .stage('rendering')
+        .step('rendering', 'run');
+    builder
+      .stage('handling')
+        .step('analytics', 'run')
+      .stage('caching', {after: 'handling'})
+        .step('cache', 'run');
+
+    expect(function() {
+      builder.stage('end', {before: 'nope'});
+    }).to.throw("Can't add stage 'end' before stage 'nope', that doesn't exist.");
+    builder.build()({isPartial: false}, function(err) {
+      expect(err).to.not.be.ok;
+      expect(log).to.deep.equal(
+        ['placement', 'handler 1', 'handler 2', 'analytics', 'cache', 'rendering']);
+      done();
+    });
+  });
+
+  it('runs lifecycle error handlers and finally steps', function(done) {
+    var log = [];
+    var scoped = scope('', {}, {
+      stream: [{end: function(options) {log.push('end');}}]
+    });
+    var failing = scoped.defineLifecycle()
+      .step(function fail(options) {throw new Error('Failed.');})
+      .step(function skipped(options) {log.push('skipped');})
+      .catch(function handle(err, options, handleDone) {
+        log.push('handled ' + err.message);
+        handleDone(err);
+      })
+      .finally('stream', 'end')
+      .finally(function alsoFails(options) {throw new Error('Teardown failed.');})
+      .finally(function stillRuns(options) {log.push('still runs');})
+      .build();
+    var handled = scoped.defineLifecycle()
+      .step(function fail(options) {return Promise.reject(new Error('Failed.'));})
+      .catch(function ignore(err, options) {log.push('ignored ' + err.message);})
+      .finally('stream', 'end')
+      .build();
+
+    failing({}, function(err) {
+      expect(err.message).to.equal('Failed.');
+      expect(log).to.deep.equal(['handled Failed.', 'end', 'still runs']);
+      log = [];
+      handled({}).then(function() {
+        expect(log).to.deep.equal(['ignored Failed.', 'end']);
+        done();
+      });
+    });
+  });
+
+  it('fails lifecycle steps that time out', function(done) {
+    var late = false;
+    var lifecycle = scope('', {}, {}).defineLifecycle()
+      .stage('slow')
+        .step(function slowStep(options, stepDone) {
+          setTimeout(function() {
+            late = true;
+            stepDone();
+          }, 50);
+        }, {timeout: 10})
+      .build();
+
+    lifecycle({}, function(err) {
+      expect(err.message).to.equal('Lifecycle step slowStep timed out after 10 ms.');
+      expect(late).to.be.false;
+      done();
+    });
+  });
+
+  it('resolves the services of late-bound lifecycles when they run', function(done) {
+    var log = [];
+    function Renderer(scope) {
+      this.scopeName = scope.scopeName;
+    }
+    Renderer.scope = 'request';
+    Renderer.prototype.render = function(options) {
+      log.push('render on ' + this.scopeName);
+    };
+    var shell = scope('shell', {}, {renderer: [Renderer]});
+    var eager = shell.lifecycle('handler', 'handle');
+    var lateBound = shell.defineLifecycle()
+      .stage('rendering')
+        .step('renderer', 'render')
+        .step('handler', 'handle')
+      .build({lateBound: true});
+    var variadic = shell.lifecycle({lateBound: true}, 'handler', 'handle');
+    shell.register('handler', {handle: function(options) {log.push('handle');}});
+    var request = shell.makeSubScope('request', {});
+    request.intercept('handler', 'handle', {
+      before: function(invocation) {log.push('intercepted on request');}
+    });
+
+    eager({}, function(err) {
+      expect(err).to.not.be.ok;
+      expect(log).to.deep.equal([]);
+      lateBound.runOn(request, {}).then(function() {
+        expect(log).to.deep.equal(['render on request', 'intercepted on request', 'handle']);
+        log = [];
+        return variadic({});
+      }).then(function() {
+        expect(log).to.deep.equal(['handle']);
+        return lateBound({});
+      }).catch(function(err) {
+        expect(err.message).to.equal("Couldn't find an instance of renderer on scope request.");
+        expect(function() {
+          lateBound.runOn({}, {});
+        }).to.throw('Lifecycles can only run on scopes.');
+        done();
+      });
+    });
+  });
 });
\ No newline at end of file